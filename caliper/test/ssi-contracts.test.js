@@ -0,0 +1,70 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const {
+  getContractInterface,
+  extractRevertData,
+  decodeRevertData,
+  formatRevert
+} = require('../workloads/utils/ssi-contracts');
+
+const IDENTITY = '0x627306090abaB3A6e1400e9345bC60c78a8BEf57';
+
+describe('extractRevertData', () => {
+  it('finds Nethermind "Reverted 0x..." data in nested errors', () => {
+    const revertData = getContractInterface('DidRegistry').encodeErrorResult('DidNotFound', [IDENTITY]);
+    const error = { message: 'Returned error', originalError: { data: `Reverted ${revertData}` } };
+
+    assert.equal(extractRevertData(error), revertData);
+  });
+
+  it('returns null when no revert data is present', () => {
+    assert.equal(extractRevertData(new Error('connection reset')), null);
+    assert.equal(extractRevertData(null), null);
+  });
+});
+
+describe('decodeRevertData', () => {
+  it('decodes a custom error with named arguments', () => {
+    const credentialId = ethers.id('credential');
+    const revertData = getContractInterface('CredentialRegistry')
+      .encodeErrorResult('InvalidStatusTransition', [credentialId, 2, 0, 'revoked']);
+
+    const decoded = decodeRevertData(revertData, 'CredentialRegistry');
+
+    assert.equal(decoded.name, 'InvalidStatusTransition');
+    assert.equal(decoded.signature, 'InvalidStatusTransition(bytes32,uint8,uint8,string)');
+    assert.deepEqual(Object.values(decoded.args), [credentialId, '2', '0', 'revoked']);
+  });
+
+  it('falls back to the other SSI contracts when the preferred one lacks the selector', () => {
+    const revertData = getContractInterface('CredentialRegistry').encodeErrorResult('IdentityNotFound', [IDENTITY]);
+
+    assert.equal(decodeRevertData(revertData, 'DidRegistry').name, 'IdentityNotFound');
+  });
+
+  it('decodes Error(string) reverts', () => {
+    const revertData = ethers.concat([ethers.id('Error(string)').slice(0, 10), ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['paused'])]);
+
+    const decoded = decodeRevertData(revertData);
+
+    assert.equal(decoded.name, 'Error');
+    assert.deepEqual(Object.values(decoded.args), ['paused']);
+  });
+
+  it('returns null for unknown selectors and short data', () => {
+    assert.equal(decodeRevertData(`${ethers.id('Unknown()').slice(0, 10)}`), null);
+    assert.equal(decodeRevertData('0x'), null);
+  });
+});
+
+describe('formatRevert', () => {
+  it('lists the decoded arguments', () => {
+    const revertData = getContractInterface('DidRegistry').encodeErrorResult('DidNotFound', [IDENTITY]);
+    const decoded = decodeRevertData(revertData, 'DidRegistry');
+
+    assert.match(formatRevert(decoded), /^DidNotFound\(\w+=0x627306090abaB3A6e1400e9345bC60c78a8BEf57\)$/);
+  });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  CLAIM_KINDS,
+  resolveCoordinationSettings,
+  statusClaimKey,
+  ownsAccount,
+  getCoordinator
+} = require('../workloads/utils/ssi-coordination');
+
+const IDENTITY = '0x627306090abaB3A6e1400e9345bC60c78a8BEf57';
+
+describe('resolveCoordinationSettings', () => {
+  it('is enabled by default only with several workers', () => {
+    assert.equal(resolveCoordinationSettings({}, 1).enabled, false);
+    assert.equal(resolveCoordinationSettings({}, 2).enabled, true);
+    assert.equal(resolveCoordinationSettings({ enabled: false }, 2).enabled, false);
+  });
+
+  it('rejects a negative sync interval', () => {
+    assert.throws(() => resolveCoordinationSettings({ syncIntervalMs: -1 }, 2), /syncIntervalMs must be a non-negative number/);
+  });
+});
+
+describe('ownsAccount', () => {
+  it('assigns every address to exactly one worker', () => {
+    for (const address of [IDENTITY, '0xf17f52151EbEF6C7334FAD080c5704D77216b732', '0x0000000000000000000000000000000000000003']) {
+      const owners = [0, 1, 2].filter(workerIndex => ownsAccount(address, workerIndex, 3));
+      assert.deepEqual(owners, [Number(BigInt(address) % 3n)]);
+    }
+  });
+});
+
+describe('SSICoordinator', () => {
+  let directory;
+  let settings;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ssi-coordination-'));
+    settings = resolveCoordinationSettings({ directory }, 2);
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('lets exactly one worker claim an entity until its holder releases it', () => {
+    const first = getCoordinator(settings, 0, 2, 'claims');
+    const second = getCoordinator(settings, 1, 2, 'claims');
+
+    assert.equal(first.claim(CLAIM_KINDS.DID, IDENTITY), true);
+    assert.equal(second.claim(CLAIM_KINDS.DID, IDENTITY.toLowerCase()), false);
+
+    // Only the holder can release the claim
+    second.release(CLAIM_KINDS.DID, IDENTITY);
+    assert.equal(second.claim(CLAIM_KINDS.DID, IDENTITY), false);
+
+    first.release(CLAIM_KINDS.DID, IDENTITY);
+    assert.equal(second.claim(CLAIM_KINDS.DID, IDENTITY), true);
+
+    assert.deepEqual(first.getStatistics(), { claimed: 1, conflicts: 0, released: 1, published: 0, pulled: 0 });
+    assert.deepEqual(second.getStatistics(), { claimed: 1, conflicts: 2, released: 0, published: 0, pulled: 0 });
+  });
+
+  it('claims each credential status transition separately', () => {
+    const coordinator = getCoordinator(settings, 0, 2, 'status');
+
+    assert.equal(coordinator.claim(CLAIM_KINDS.STATUS, statusClaimKey('0xabc', 0, 1)), true);
+    assert.equal(coordinator.claim(CLAIM_KINDS.STATUS, statusClaimKey('0xabc', 1, 0)), true);
+    assert.equal(coordinator.claim(CLAIM_KINDS.STATUS, statusClaimKey('0xabc', 0, 1)), false);
+  });
+
+  it('returns the same coordinator for a worker and deployment', () => {
+    assert.equal(getCoordinator(settings, 0, 2, 'claims'), getCoordinator(settings, 0, 2, 'claims'));
+    assert.notEqual(getCoordinator(settings, 0, 2, 'claims'), getCoordinator(settings, 0, 2, 'other'));
+  });
+
+  it('replays the journal entries of other workers once', () => {
+    const first = getCoordinator(settings, 0, 2, 'journal');
+    const second = getCoordinator(settings, 1, 2, 'journal');
+
+    first.publish({ type: 'did', identity: IDENTITY });
+    second.publish({ type: 'role', address: IDENTITY, role: 1 });
+
+    assert.deepEqual(second.pull(), [{ type: 'did', identity: IDENTITY, worker: 0 }]);
+    assert.deepEqual(second.pull(), []);
+    assert.deepEqual(first.pull(), [{ type: 'role', address: IDENTITY, role: 1, worker: 1 }]);
+  });
+
+  it('waits for the newline of an entry still being appended', () => {
+    const reader = getCoordinator(settings, 1, 2, 'partial');
+    const journalPath = path.join(reader.directory, 'journal-w0.jsonl');
+
+    fs.appendFileSync(journalPath, '{"type":"did",');
+    assert.deepEqual(reader.pull(), []);
+
+    fs.appendFileSync(journalPath, '"worker":0}\n');
+    assert.deepEqual(reader.pull(), [{ type: 'did', worker: 0 }]);
+  });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveDryRunSettings, SSIDryRunReport } = require('../workloads/utils/ssi-dry-run');
+
+const SENDER = '0x627306090abaB3A6e1400e9345bC60c78a8BEf57';
+
+/**
+ * Build a simulated write request
+ * @param {string} verb - Contract function
+ * @param {Array} args - Ordered arguments
+ * @returns {Object} Caliper connector request
+ */
+function createRequest(verb, args = []) {
+  return { contract: 'CredentialRegistry', verb, args };
+}
+
+describe('resolveDryRunSettings', () => {
+  it('is disabled when unset or false', () => {
+    for (const config of [undefined, null, false]) {
+      assert.deepEqual(resolveDryRunSettings(config), { enabled: false, samplesPerError: 5, maxRequests: 1000 });
+    }
+  });
+
+  it('applies the defaults to true and to partial settings', () => {
+    assert.deepEqual(resolveDryRunSettings(true), { enabled: true, samplesPerError: 5, maxRequests: 1000 });
+    assert.deepEqual(resolveDryRunSettings({ maxRequests: '0', directory: 'dry-run' }), {
+      enabled: true,
+      samplesPerError: 5,
+      maxRequests: 0,
+      directory: 'dry-run'
+    });
+    assert.equal(resolveDryRunSettings({ enabled: false }).enabled, false);
+  });
+
+  it('rejects invalid sample and request limits', () => {
+    assert.throws(() => resolveDryRunSettings({ samplesPerError: -1 }), /dryRun\.samplesPerError must be a non-negative integer, got -1/);
+    assert.throws(() => resolveDryRunSettings({ samplesPerError: 'many' }), /dryRun\.samplesPerError/);
+    assert.throws(() => resolveDryRunSettings({ maxRequests: 2.5 }), /dryRun\.maxRequests must be a non-negative integer, got 2\.5/);
+  });
+});
+
+describe('SSIDryRunReport', () => {
+  it('admits simulations up to maxRequests', () => {
+    const report = new SSIDryRunReport(0, 0, resolveDryRunSettings({ maxRequests: 2 }));
+
+    assert.deepEqual([report.admit(), report.admit(), report.admit()], [true, true, false]);
+    assert.equal(report.started, 2);
+  });
+
+  it('admits every simulation when maxRequests is 0', () => {
+    const report = new SSIDryRunReport(0, 0, resolveDryRunSettings({ maxRequests: 0 }));
+
+    for (let i = 0; i < 5000; i++) assert.equal(report.admit(), true);
+  });
+
+  it('groups outcomes per operation and decoded error', () => {
+    const report = new SSIDryRunReport(3, 1, resolveDryRunSettings(true));
+    const revoked = { name: 'CredentialRevoked', reason: 'CredentialRevoked(credentialId)' };
+
+    report.record(createRequest('issueCredential'), SENDER, null);
+    report.record(createRequest('updateCredentialStatus', ['0x01', 1, 2]), SENDER, revoked);
+    report.record(createRequest('updateCredentialStatus', ['0x02', 1, 3]), SENDER, revoked);
+    report.record(createRequest('updateCredentialStatus', ['0x03', 2, 1]), SENDER, { name: 'NotIssuer', reason: 'NotIssuer(sender)' });
+
+    const summary = report.getReport();
+    assert.equal(summary.worker, 3);
+    assert.equal(summary.simulated, 4);
+    assert.equal(summary.succeeded, 1);
+    assert.equal(summary.reverted, 3);
+    assert.deepEqual(summary.byError, { CredentialRevoked: 2, NotIssuer: 1 });
+    assert.deepEqual(summary.operations['CredentialRegistry.issueCredential'], { simulated: 1, succeeded: 1, reverted: 0, errors: {} });
+    assert.equal(summary.operations['CredentialRegistry.updateCredentialStatus'].errors.CredentialRevoked.count, 2);
+  });
+
+  it('keeps at most samplesPerError samples per error', () => {
+    const report = new SSIDryRunReport(0, 0, resolveDryRunSettings({ samplesPerError: 2 }));
+    const failure = { name: 'DidNotFound', reason: 'DidNotFound(identity)' };
+
+    for (let i = 0; i < 4; i++) report.record(createRequest('issueCredential', [`0x0${i}`]), SENDER, failure);
+
+    const error = report.getReport().operations['CredentialRegistry.issueCredential'].errors.DidNotFound;
+    assert.equal(error.count, 4);
+    assert.deepEqual(error.samples.map(sample => sample.args), [['0x00'], ['0x01']]);
+    assert.deepEqual(error.samples[0], { sender: SENDER, args: ['0x00'], reason: 'DidNotFound(identity)' });
+  });
+
+  it('stores bigint arguments as decimal strings so the report serializes', () => {
+    const report = new SSIDryRunReport(0, 0, resolveDryRunSettings(true));
+
+    report.record(createRequest('updateCredentialStatus', ['0x01', 1n, [2n, 3]]), SENDER, { name: 'InvalidStatus', reason: 'InvalidStatus' });
+
+    const [sample] = report.getReport().operations['CredentialRegistry.updateCredentialStatus'].errors.InvalidStatus.samples;
+    assert.deepEqual(sample.args, ['0x01', '1', ['2', 3]]);
+    assert.doesNotThrow(() => JSON.stringify(report.getReport()));
+  });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FEE_MODES, resolveFeeSettings, fetchFeeHistory, getEip1559Fees } = require('../workloads/utils/ssi-fees');
+
+/**
+ * Build a web3 stand-in whose provider answers eth_feeHistory
+ * @param {Object} history - eth_feeHistory result
+ * @returns {Object} { web3, requests }
+ */
+function createFeeHistoryWeb3(history) {
+  const requests = [];
+  const web3 = {
+    currentProvider: {
+      send: (payload, callback) => {
+        requests.push(payload);
+        callback(null, { jsonrpc: '2.0', id: payload.id, result: history });
+      }
+    }
+  };
+  return { web3, requests };
+}
+
+describe('resolveFeeSettings', () => {
+  it('defaults to legacy fees', () => {
+    assert.equal(resolveFeeSettings({}).mode, FEE_MODES.LEGACY);
+  });
+
+  it('converts fixed fees to wei', () => {
+    const settings = resolveFeeSettings({ feeMode: 'eip1559', eip1559: { maxFeePerGas: '3000000000', maxPriorityFeePerGas: 1000000000 } });
+
+    assert.equal(settings.mode, FEE_MODES.EIP1559);
+    assert.equal(settings.maxFeePerGas, 3000000000n);
+    assert.equal(settings.maxPriorityFeePerGas, 1000000000n);
+  });
+
+  it('rejects unknown fee modes', () => {
+    assert.throws(() => resolveFeeSettings({ feeMode: 'eip4844' }), /unsupported feeMode "eip4844"/);
+  });
+});
+
+describe('fetchFeeHistory', () => {
+  it('takes the next base fee and the median reward', async () => {
+    const { web3, requests } = createFeeHistoryWeb3({
+      baseFeePerGas: ['0x64', '0x6e', '0x78'],
+      reward: [['0x5'], ['0x1'], ['0x3']]
+    });
+
+    const sample = await fetchFeeHistory(web3, resolveFeeSettings({ feeMode: 'eip1559', eip1559: { feeHistoryBlocks: 2, rewardPercentile: 25 } }));
+
+    assert.deepEqual(sample, { baseFeePerGas: 120n, priorityFeePerGas: 3n });
+    assert.deepEqual(requests[0].params, ['0x2', 'latest', [25]]);
+  });
+
+  it('fails on chains without base fees', async () => {
+    const { web3 } = createFeeHistoryWeb3({ baseFeePerGas: [], reward: [] });
+
+    await assert.rejects(fetchFeeHistory(web3, resolveFeeSettings({ feeMode: 'eip1559' })), /EIP-1559 is not active/);
+  });
+});
+
+describe('getEip1559Fees', () => {
+  it('uses configured fees without querying the node', async () => {
+    const { web3, requests } = createFeeHistoryWeb3(null);
+    const settings = resolveFeeSettings({ feeMode: 'eip1559', eip1559: { maxFeePerGas: 50, maxPriorityFeePerGas: 2 } });
+
+    assert.deepEqual(await getEip1559Fees(web3, settings), { maxFeePerGas: 50n, maxPriorityFeePerGas: 2n });
+    assert.equal(requests.length, 0);
+  });
+
+  it('derives the max fee from the next base fee, the multiplier and the priority fee', async () => {
+    const { web3 } = createFeeHistoryWeb3({ baseFeePerGas: ['0x3e8'], reward: [['0xa']] });
+    const settings = resolveFeeSettings({ feeMode: 'eip1559', eip1559: { baseFeeMultiplier: 1.5, refreshMs: 0 } });
+
+    assert.deepEqual(await getEip1559Fees(web3, settings), { maxFeePerGas: 1510n, maxPriorityFeePerGas: 10n });
+  });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { resolveFundingSettings, planTopUps, topUpAccounts } = require('../workloads/utils/ssi-funding');
+const SSINonceManager = require('../workloads/utils/ssi-nonce-manager');
+
+const FUNDER = '0xed9d02e382b34818e88B88a309c7fe71E65f419d';
+const LOW = '0xf17f52151EbEF6C7334FAD080c5704D77216b732';
+const EMPTY = '0xC5fdf4076b8F3A5357c5E395ab970B5B54098Fef';
+const FULL = '0x821aEa9a577a9b44299B9c15c88cf3087F3b5544';
+
+/**
+ * Build a connector context whose node reports the given balances and records sent transfers
+ * @param {Object} balances - Address -> balance in wei
+ * @param {Set<string>} [rejected] - Recipients whose transfer is rejected
+ * @returns {Object} Connector context with a nonces map for the funder and the sent transfers
+ */
+function createContext(balances, rejected = new Set()) {
+  const context = {
+    fromAddress: FUNDER,
+    nonces: { [FUNDER]: 10 },
+    gasPrice: 0,
+    chainId: 1337,
+    sent: [],
+    web3: {
+      eth: {
+        getBalance: async address => balances[address],
+        getTransactionCount: async () => 42,
+        sendTransaction: async transaction => {
+          context.sent.push(transaction);
+          if (rejected.has(transaction.to)) throw new Error('insufficient funds');
+          return { status: true };
+        }
+      }
+    }
+  };
+  return context;
+}
+
+describe('resolveFundingSettings', () => {
+  it('converts balances to wei and tops up to the minimum by default', () => {
+    const settings = resolveFundingSettings({ minBalance: '2' });
+
+    assert.equal(settings.minBalance, ethers.parseEther('2'));
+    assert.equal(settings.targetBalance, ethers.parseEther('2'));
+    assert.equal(settings.watchIntervalMs, 30000);
+  });
+
+  it('accepts 0 to disable the balance watch', () => {
+    assert.equal(resolveFundingSettings({ watchIntervalMs: 0 }).watchIntervalMs, 0);
+  });
+
+  it('rejects invalid settings', () => {
+    assert.throws(() => resolveFundingSettings({ minBalance: '5', targetBalance: '1' }), /targetBalance/);
+    assert.throws(() => resolveFundingSettings({ maxIdentities: -1 }), /maxIdentities/);
+    assert.throws(() => resolveFundingSettings({ watchIntervalMs: -5 }), /watchIntervalMs/);
+  });
+});
+
+describe('planTopUps', () => {
+  const settings = resolveFundingSettings({ minBalance: '1', targetBalance: '5' });
+
+  it('tops up only accounts below the minimum, to the target balance', () => {
+    const transfers = planTopUps(
+      [LOW, EMPTY, FULL],
+      [ethers.parseEther('0.5').toString(), 0, ethers.parseEther('1')],
+      settings
+    );
+
+    assert.deepEqual(transfers, [
+      { to: LOW, value: ethers.parseEther('4.5') },
+      { to: EMPTY, value: ethers.parseEther('5') }
+    ]);
+  });
+
+  it('plans nothing when every account holds the minimum', () => {
+    assert.deepEqual(planTopUps([FULL], [ethers.parseEther('3')], settings), []);
+  });
+});
+
+describe('topUpAccounts', () => {
+  const settings = resolveFundingSettings({ minBalance: '1', targetBalance: '5' });
+
+  it('sends transfers with nonces from the connector counter', async () => {
+    const context = createContext({ [LOW]: ethers.parseEther('0.5'), [EMPTY]: 0n, [FULL]: ethers.parseEther('2') });
+
+    const summary = await topUpAccounts(context, [LOW, EMPTY, FULL], settings, new SSINonceManager(context));
+
+    assert.deepEqual(context.sent.map(transfer => [transfer.to, transfer.nonce]), [[LOW, 10], [EMPTY, 11]]);
+    assert.equal(context.nonces[FUNDER], 12);
+    assert.equal(summary.checked, 3);
+    assert.equal(summary.funded, 2);
+    assert.equal(summary.transferred, ethers.parseEther('9.5'));
+  });
+
+  it('reports failed transfers and resyncs the funder nonce', async () => {
+    const context = createContext({ [LOW]: 0n, [EMPTY]: 0n }, new Set([EMPTY]));
+
+    const summary = await topUpAccounts(context, [LOW, EMPTY], settings, new SSINonceManager(context));
+
+    assert.equal(summary.funded, 1);
+    assert.equal(summary.failed, 1);
+    assert.deepEqual(summary.unfunded, [EMPTY]);
+    assert.equal(context.nonces[FUNDER], 42);
+  });
+});
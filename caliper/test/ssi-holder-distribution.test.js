@@ -0,0 +1,85 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { HOLDER_DISTRIBUTIONS, resolveHolderDistribution, HolderSelector } = require('../workloads/utils/ssi-holder-distribution');
+const { SSIRandom } = require('../workloads/utils/ssi-random');
+
+const CANDIDATES = Array.from({ length: 10 }, (_, index) => `0x${String(index).padStart(40, '0')}`);
+const DRAWS = 20000;
+
+/**
+ * Count how often each candidate is selected
+ * @param {Object} config - holderDistribution round argument
+ * @returns {Object} { counts, selector } with counts in candidate order
+ */
+function drawSelections(config) {
+  const selector = new HolderSelector(resolveHolderDistribution(config), new SSIRandom(42, 'holders'));
+  const counts = new Array(CANDIDATES.length).fill(0);
+  for (let i = 0; i < DRAWS; i++) {
+    counts[CANDIDATES.indexOf(selector.select(CANDIDATES))]++;
+  }
+  return { counts, selector };
+}
+
+describe('resolveHolderDistribution', () => {
+  it('applies defaults and accepts a bare type', () => {
+    assert.equal(resolveHolderDistribution().type, HOLDER_DISTRIBUTIONS.UNIQUE);
+    assert.deepEqual(resolveHolderDistribution('Zipfian'), { type: 'zipfian', skew: 1, hotSetSize: 5, hotSetProbability: 0.8 });
+  });
+
+  it('rejects unknown types and out-of-range parameters', () => {
+    assert.throws(() => resolveHolderDistribution({ type: 'gaussian' }), /unknown holderDistribution type "gaussian"/);
+    assert.throws(() => resolveHolderDistribution({ type: 'zipfian', skew: 0 }), /skew must be positive/);
+    assert.throws(() => resolveHolderDistribution({ type: 'hotset', hotSetSize: 1.5 }), /hotSetSize must be a positive integer/);
+    assert.throws(() => resolveHolderDistribution({ type: 'hotset', hotSetProbability: 1.2 }), /hotSetProbability must be between 0 and 1/);
+  });
+});
+
+describe('HolderSelector', () => {
+  it('cycles through the candidates in order for roundrobin', () => {
+    const selector = new HolderSelector(resolveHolderDistribution('roundrobin'), new SSIRandom(1, 'unused'));
+
+    const selected = Array.from({ length: 12 }, () => selector.select(CANDIDATES));
+
+    assert.deepEqual(selected, [...CANDIDATES, ...CANDIDATES.slice(0, 2)]);
+  });
+
+  it('spreads uniform picks evenly', () => {
+    const { counts } = drawSelections('uniform');
+
+    for (const count of counts) {
+      assert.ok(Math.abs(count / DRAWS - 0.1) < 0.015, `share ${count / DRAWS}`);
+    }
+  });
+
+  it('picks rank r with weight 1/(r+1)^skew for zipfian', () => {
+    const { counts } = drawSelections({ type: 'zipfian', skew: 1 });
+    const harmonic = CANDIDATES.reduce((sum, _, rank) => sum + 1 / (rank + 1), 0);
+
+    counts.forEach((count, rank) => {
+      assert.ok(Math.abs(count / DRAWS - 1 / (rank + 1) / harmonic) < 0.015, `rank ${rank} share ${count / DRAWS}`);
+    });
+  });
+
+  it('gives the hot set hotSetProbability of the picks', () => {
+    const { counts } = drawSelections({ type: 'hotset', hotSetSize: 2, hotSetProbability: 0.8 });
+    const hotShare = (counts[0] + counts[1]) / DRAWS;
+
+    assert.ok(Math.abs(hotShare - 0.8) < 0.015, `hot share ${hotShare}`);
+    assert.ok(counts.every(count => count > 0));
+  });
+
+  it('uses only the hot set when it covers every candidate', () => {
+    const { counts } = drawSelections({ type: 'hotset', hotSetSize: 20, hotSetProbability: 0 });
+
+    assert.ok(counts.every(count => count > 0));
+  });
+
+  it('reports how picks were spread', () => {
+    const selector = new HolderSelector(resolveHolderDistribution('roundrobin'), new SSIRandom(1, 'unused'));
+    for (let i = 0; i < 4; i++) selector.select(CANDIDATES.slice(0, 3));
+
+    assert.deepEqual(selector.getStatistics(), { type: 'roundrobin', picks: 4, distinct: 3, topShare: 0.5 });
+  });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SSINonceManager = require('../workloads/utils/ssi-nonce-manager');
+
+const CONNECTOR = '0xed9d02e382b34818e88B88a309c7fe71E65f419d';
+const SENDER = '0xf17f52151EbEF6C7334FAD080c5704D77216b732';
+
+/**
+ * Build a connector context whose node reports the given pending transaction counts
+ * @param {Object} pendingCounts - Address -> pending count, or an Error to throw
+ * @returns {Object} Connector context with a nonces map for the connector account
+ */
+function createContext(pendingCounts) {
+  return {
+    fromAddress: CONNECTOR,
+    nonces: { [CONNECTOR]: 7 },
+    web3: {
+      eth: {
+        getTransactionCount: async address => {
+          const count = pendingCounts[address];
+          if (count instanceof Error) throw count;
+          return count;
+        }
+      }
+    }
+  };
+}
+
+describe('SSINonceManager', () => {
+  it('hands out consecutive nonces to concurrent requests of one sender', async () => {
+    const manager = new SSINonceManager(createContext({ [SENDER]: 3 }));
+
+    const nonces = await Promise.all([manager.reserve(SENDER), manager.reserve(SENDER), manager.reserve(SENDER.toLowerCase())]);
+
+    assert.deepEqual(nonces, [3, 4, 5]);
+  });
+
+  it('takes the connector account nonces from the connector counter', async () => {
+    const context = createContext({});
+    const manager = new SSINonceManager(context);
+
+    assert.equal(await manager.reserve(CONNECTOR), 7);
+    assert.equal(context.nonces[CONNECTOR], 8);
+  });
+
+  it('restarts from the pending count after a resync', async () => {
+    const pendingCounts = { [SENDER]: 3 };
+    const manager = new SSINonceManager(createContext(pendingCounts));
+    await manager.reserve(SENDER);
+    await manager.reserve(SENDER);
+
+    // Nonce 4 was rejected, so the node still expects it
+    pendingCounts[SENDER] = 4;
+    assert.equal(await manager.resync(SENDER), 4);
+
+    assert.equal(await manager.reserve(SENDER), 4);
+    assert.equal(await manager.reserve(SENDER), 5);
+    assert.deepEqual(manager.getStatistics(), { reserved: 4, resyncs: 1, senders: 1 });
+  });
+
+  it('resyncs the connector counter in the connector context', async () => {
+    const context = createContext({ [CONNECTOR]: 2 });
+    const manager = new SSINonceManager(context);
+
+    assert.equal(await manager.resync(CONNECTOR), 2);
+    assert.equal(context.nonces[CONNECTOR], 2);
+  });
+
+  it('fetches again after a failed resync', async () => {
+    const pendingCounts = { [SENDER]: new Error('connection reset') };
+    const manager = new SSINonceManager(createContext(pendingCounts));
+
+    assert.equal(await manager.resync(SENDER), null);
+
+    pendingCounts[SENDER] = 9;
+    assert.equal(await manager.reserve(SENDER), 9);
+  });
+
+  it('does not keep a failed nonce lookup for later reservations', async () => {
+    const pendingCounts = { [SENDER]: new Error('connection reset') };
+    const manager = new SSINonceManager(createContext(pendingCounts));
+
+    await assert.rejects(manager.reserve(SENDER), /connection reset/);
+
+    pendingCounts[SENDER] = 11;
+    assert.equal(await manager.reserve(SENDER), 11);
+  });
+});
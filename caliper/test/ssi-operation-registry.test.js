@@ -0,0 +1,96 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SSIOperationRegistry, getOperationRegistry } = require('../workloads/utils/ssi-operation-registry');
+
+const IDENTITY = '0x627306090abaB3A6e1400e9345bC60c78a8BEf57';
+const DOC_HASH = `0x${'ab'.repeat(32)}`;
+
+/**
+ * Write a single-contract artifact directory
+ * @param {Array<Object>} abi - Contract ABI
+ * @returns {string} Directory path
+ */
+function createArtifactDirectory(abi) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ssi-registry-'));
+  fs.writeFileSync(path.join(directory, 'TestRegistry.json'), JSON.stringify({ abi }));
+  fs.writeFileSync(path.join(directory, 'README.md'), 'not an artifact');
+  return directory;
+}
+
+describe('SSIOperationRegistry', () => {
+  const registry = getOperationRegistry();
+
+  it('names contracts and operations after the artifacts', () => {
+    assert.equal(registry.contracts.DID_REGISTRY, 'DidRegistry');
+    assert.equal(registry.contracts.CREDENTIAL_REGISTRY, 'CredentialRegistry');
+    assert.equal(registry.contracts.ROLE_CONTROL, 'RoleControl');
+    assert.equal(registry.operations.CREATE_DID_SIGNED, 'createDidSigned');
+    assert.equal(registry.operations.UPDATE_CREDENTIAL_STATUS, 'updateCredentialStatus');
+  });
+
+  it('is shared per artifact directory', () => {
+    assert.equal(getOperationRegistry(), registry);
+  });
+
+  it('looks up function inputs and mutability', () => {
+    assert.deepEqual(registry.getOperation('DidRegistry', 'createDid'), {
+      contract: 'DidRegistry',
+      name: 'createDid',
+      inputs: ['identity', 'docHash', 'docCid'],
+      readOnly: false
+    });
+    assert.equal(registry.isReadOnly('RoleControl', 'getRole'), true);
+    assert.equal(registry.isReadOnly('CredentialRegistry', 'issueCredential'), false);
+  });
+
+  it('rejects unknown operations and functions of another contract', () => {
+    assert.throws(() => registry.getOperation('DidRegistry', 'mintToken'), /DidRegistry\.mintToken is not a function of the DidRegistry ABI/);
+    assert.throws(() => registry.isReadOnly('RoleControl', 'createDid'), /RoleControl\.createDid is not a function/);
+    assert.throws(() => registry.getOperation('Unknown', 'createDid'), /SSI workload error/);
+  });
+
+  it('orders named arguments by the ABI inputs', () => {
+    const args = registry.orderArguments('DidRegistry', 'createDid', { docCid: 'cid', identity: IDENTITY, docHash: DOC_HASH });
+
+    assert.deepEqual(args, [IDENTITY, DOC_HASH, 'cid']);
+  });
+
+  it('takes arrays as already ordered when their length matches', () => {
+    assert.deepEqual(registry.orderArguments('RoleControl', 'getRole', [IDENTITY]), [IDENTITY]);
+    assert.throws(() => registry.orderArguments('RoleControl', 'getRole', []), /takes 1 arguments, got 0/);
+  });
+
+  it('rejects missing and unknown named arguments', () => {
+    assert.throws(
+      () => registry.orderArguments('DidRegistry', 'createDid', { identity: IDENTITY, docHash: DOC_HASH }),
+      /is missing argument docCid/
+    );
+    assert.throws(
+      () => registry.orderArguments('RoleControl', 'getRole', { account: IDENTITY, role: 1 }),
+      /has no argument role/
+    );
+  });
+
+  describe('with another artifact directory', () => {
+    const directory = createArtifactDirectory([
+      { type: 'function', name: 'registerSchema', stateMutability: 'nonpayable', inputs: [{ name: 'schemaId', type: 'bytes32' }, { name: '', type: 'string' }] },
+      { type: 'function', name: 'schemaCount', stateMutability: 'view', inputs: [] },
+      { type: 'event', name: 'SchemaRegistered', inputs: [] }
+    ]);
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    it('picks up new contract functions from their artifact', () => {
+      const custom = new SSIOperationRegistry(directory);
+
+      assert.deepEqual(Object.keys(custom.contracts), ['TEST_REGISTRY']);
+      assert.deepEqual(custom.operations, { REGISTER_SCHEMA: 'registerSchema', SCHEMA_COUNT: 'schemaCount' });
+      assert.deepEqual(custom.getOperation('TestRegistry', 'registerSchema').inputs, ['schemaId', 'arg1']);
+      assert.equal(custom.isReadOnly('TestRegistry', 'schemaCount'), true);
+    });
+  });
+});
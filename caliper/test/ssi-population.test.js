@@ -0,0 +1,78 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePopulationSpec, buildPopulationSlots } = require('../workloads/utils/ssi-population');
+
+/**
+ * Count slots per group that match a predicate
+ * @param {Array<Object>} slots - Result of buildPopulationSlots
+ * @param {Function} predicate - Slot filter
+ * @returns {Object} Group name to count
+ */
+function countByGroup(slots, predicate) {
+  const counts = { trustees: 0, issuers: 0, holders: 0 };
+  for (const slot of slots) {
+    if (predicate(slot)) counts[slot.group]++;
+  }
+  return counts;
+}
+
+describe('resolvePopulationSpec', () => {
+  it('returns null when no population is configured or it is disabled', () => {
+    assert.equal(resolvePopulationSpec(undefined), null);
+    assert.equal(resolvePopulationSpec({ enabled: false, trustees: 1 }), null);
+  });
+
+  it('takes role counts as given and gives every identity a DID by default', () => {
+    assert.deepEqual(resolvePopulationSpec({ trustees: 1, issuers: 2, holders: 7, credentialsPerHolder: 3 }), {
+      trustees: 1,
+      issuers: 2,
+      holders: 7,
+      size: 10,
+      withDids: 10,
+      credentialsPerHolder: 3
+    });
+  });
+
+  it('splits a size by ratios so the counts add up to the size', () => {
+    const population = resolvePopulationSpec({ size: 10, ratios: { trustees: 1, issuers: 1, holders: 1 } });
+
+    assert.equal(population.trustees + population.issuers + population.holders, 10);
+    assert.deepEqual([population.trustees, population.issuers, population.holders], [4, 3, 3]);
+  });
+
+  it('resolves DIDs from a ratio or a count capped at the size', () => {
+    assert.equal(resolvePopulationSpec({ trustees: 1, holders: 9, withDidsRatio: 0.25 }).withDids, 3);
+    assert.equal(resolvePopulationSpec({ trustees: 1, holders: 3, withDids: 50 }).withDids, 4);
+  });
+
+  it('rejects invalid specs', () => {
+    assert.throws(() => resolvePopulationSpec({ issuers: 2, holders: 5 }), /at least one trustee/);
+    assert.throws(() => resolvePopulationSpec({ trustees: 1, holders: -1 }), /population\.holders must be a non-negative integer/);
+    assert.throws(() => resolvePopulationSpec({ trustees: 1.5 }), /population\.trustees/);
+    assert.throws(() => resolvePopulationSpec({ size: 10, ratios: { trustees: 0, issuers: 0, holders: 0 } }), /positive sum/);
+    assert.throws(() => resolvePopulationSpec({ trustees: 1, withDidsRatio: 2 }), /withDidsRatio must be between 0 and 1/);
+  });
+});
+
+describe('buildPopulationSlots', () => {
+  it('lays out trustees, issuers and holders with stable IDs', () => {
+    const slots = buildPopulationSlots(resolvePopulationSpec({ trustees: 1, issuers: 2, holders: 2 }));
+
+    assert.deepEqual(slots.map(slot => slot.id), ['trustee-0', 'issuer-0', 'issuer-1', 'holder-0', 'holder-1']);
+  });
+
+  it('gives DIDs to issuers first, then holders, then trustees', () => {
+    const slots = buildPopulationSlots(resolvePopulationSpec({ trustees: 2, issuers: 2, holders: 3, withDids: 4 }));
+
+    assert.deepEqual(countByGroup(slots, slot => slot.withDid), { trustees: 0, issuers: 2, holders: 2 });
+    assert.deepEqual(slots.filter(slot => slot.group === 'holders').map(slot => slot.withDid), [true, true, false]);
+  });
+
+  it('issues credentials only to holders with a DID', () => {
+    const slots = buildPopulationSlots(resolvePopulationSpec({ trustees: 1, issuers: 1, holders: 3, withDids: 3, credentialsPerHolder: 2 }));
+
+    assert.deepEqual(slots.map(slot => slot.credentials), [0, 0, 2, 2, 0]);
+  });
+});
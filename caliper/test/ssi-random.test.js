@@ -0,0 +1,66 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SSIRandom, getRandomSource } = require('../workloads/utils/ssi-random');
+
+describe('SSIRandom', () => {
+  it('replays the same values for the same seed and stream', () => {
+    const first = new SSIRandom(42, 'w0:state');
+    const second = new SSIRandom(42, 'w0:state');
+
+    assert.deepEqual(first.bytes(20), second.bytes(20));
+    assert.deepEqual([first.next(), first.int(1000), first.pick(['a', 'b', 'c'])], [second.next(), second.int(1000), second.pick(['a', 'b', 'c'])]);
+  });
+
+  it('draws different values for other seeds and streams', () => {
+    const reference = new SSIRandom(42, 'w0:state').bytes(32).toString('hex');
+
+    assert.notEqual(new SSIRandom(43, 'w0:state').bytes(32).toString('hex'), reference);
+    assert.notEqual(new SSIRandom(42, 'w1:state').bytes(32).toString('hex'), reference);
+  });
+
+  it('yields the same byte stream however it is split into reads', () => {
+    const whole = new SSIRandom('seed', 'split').bytes(80);
+    const parts = new SSIRandom('seed', 'split');
+
+    assert.deepEqual(Buffer.concat([parts.bytes(5), parts.bytes(32), parts.bytes(43)]), whole);
+  });
+
+  it('keeps floats in [0, 1) and integers below the bound', () => {
+    const random = new SSIRandom(7, 'bounds');
+    for (let i = 0; i < 1000; i++) {
+      const value = random.next();
+      assert.ok(value >= 0 && value < 1);
+
+      const index = random.int(3);
+      assert.ok(Number.isInteger(index) && index >= 0 && index < 3);
+    }
+  });
+
+  it('is non-deterministic without a seed', () => {
+    const random = new SSIRandom();
+
+    assert.equal(random.seeded, false);
+    assert.equal(random.bytes(16).length, 16);
+    assert.notDeepEqual(random.bytes(16), new SSIRandom().bytes(16));
+  });
+});
+
+describe('getRandomSource', () => {
+  it('continues a seeded stream across calls of the same worker and purpose', () => {
+    const source = getRandomSource(1234, 0, 'operations');
+    source.next();
+
+    assert.equal(getRandomSource(1234, 0, 'operations'), source);
+    assert.notEqual(getRandomSource(1234, 1, 'operations'), source);
+    assert.notEqual(getRandomSource(1234, 0, 'state'), source);
+  });
+
+  it('returns a fresh unseeded source when no seed is set', () => {
+    const source = getRandomSource(undefined, 0, 'operations');
+
+    assert.equal(source.seeded, false);
+    assert.notEqual(getRandomSource(undefined, 0, 'operations'), source);
+  });
+});
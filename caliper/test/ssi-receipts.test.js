@@ -0,0 +1,134 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TxStatus } = require('@hyperledger/caliper-core');
+const SSIReceiptCollector = require('../workloads/utils/ssi-receipts');
+
+const SENDER = '0x627306090abaB3A6e1400e9345bC60c78a8BEf57';
+const TX_HASH = `0x${'12'.repeat(32)}`;
+const CREATE_DID = { contract: 'DidRegistry', verb: 'createDid', args: [] };
+
+/**
+ * Build a Caliper transaction status as the Ethereum connector reports it
+ * @param {boolean} committed - Whether the transaction succeeded
+ * @param {Object|null} receipt - Transaction receipt, if any
+ * @param {number} finalTime - Completion time (ms)
+ * @returns {TxStatus} Transaction status
+ */
+function createStatus(committed, receipt, finalTime) {
+  const status = new TxStatus(TX_HASH);
+  if (committed) {
+    status.SetStatusSuccess(finalTime);
+  } else {
+    status.SetStatusFail();
+  }
+  status.SetResult(receipt);
+  return status;
+}
+
+/**
+ * Read the records of a JSONL receipt file
+ * @param {string} filePath - JSONL file
+ * @returns {Array<Object>} Records
+ */
+function readJsonl(filePath) {
+  return fs.readFileSync(filePath, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('SSIReceiptCollector', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ssi-receipts-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('rejects unsupported formats', () => {
+    assert.throws(() => new SSIReceiptCollector(0, 0, { directory, format: 'xml' }), /unsupported receipts format "xml"/);
+  });
+
+  it('records gas, block and inclusion data of a confirmed transaction', async () => {
+    const web3 = { eth: { getBlock: async blockNumber => ({ number: blockNumber, timestamp: 1700000000n }) } };
+    const collector = new SSIReceiptCollector(1, 2, { directory }, web3);
+    const receipt = { transactionHash: TX_HASH, gasUsed: 52000n, effectiveGasPrice: '0x3b9aca00', blockNumber: 17n };
+
+    collector.record(CREATE_DID, { sender: SENDER, gasLimit: 145000, submitTime: 1000, result: createStatus(true, receipt, 1250), attempt: 2, final: true });
+    const { recorded, files } = await collector.close();
+
+    assert.equal(recorded, 1);
+    assert.deepEqual(files, { jsonl: path.join(directory, 'receipts-r2-w1.jsonl') });
+    assert.deepEqual(readJsonl(files.jsonl), [{
+      txHash: TX_HASH,
+      contract: 'DidRegistry',
+      operation: 'createDid',
+      readOnly: false,
+      sender: SENDER,
+      gasLimit: 145000,
+      gasUsed: 52000,
+      effectiveGasPrice: '1000000000',
+      blockNumber: 17,
+      submitTime: 1000,
+      receiptTime: 1250,
+      inclusionTime: 1700000000000,
+      latencyMs: 250,
+      outcome: 'success',
+      errorName: null,
+      attempt: 2,
+      final: true
+    }]);
+  });
+
+  it('maps failed statuses, connector errors and read-only calls', async () => {
+    const collector = new SSIReceiptCollector(0, 0, { directory });
+
+    collector.record(CREATE_DID, { sender: SENDER, gasLimit: 145000, submitTime: 1000, result: createStatus(false, null), errorName: 'DidAlreadyExists', final: false });
+    collector.record(CREATE_DID, { sender: SENDER, gasLimit: 145000, submitTime: 1000, result: null, error: new Error('connection reset') });
+    collector.record({ contract: 'RoleControl', verb: 'getRole', readOnly: true }, { submitTime: 1000, gasLimit: 30000, result: createStatus(true, '0x2', 1010) });
+    const { files } = await collector.close();
+
+    const [failed, errored, query] = readJsonl(files.jsonl);
+    assert.equal(failed.outcome, 'failed');
+    assert.equal(failed.errorName, 'DidAlreadyExists');
+    assert.equal(failed.gasUsed, null);
+    assert.equal(failed.attempt, 1);
+    assert.equal(failed.final, false);
+    assert.equal(errored.outcome, 'error');
+    assert.equal(errored.txHash, null);
+    assert.equal(query.outcome, 'success');
+    assert.equal(query.readOnly, true);
+    assert.equal(query.gasLimit, null);
+    assert.equal(query.sender, null);
+  });
+
+  it('writes CSV with a header row and escaped cells', async () => {
+    const collector = new SSIReceiptCollector(0, 0, { directory, format: 'both', flushEvery: 1 });
+
+    collector.record(CREATE_DID, { sender: SENDER, gasLimit: 145000, submitTime: 1000, result: createStatus(false, null), errorName: 'Reverted, "bad" args' });
+    const { files } = await collector.close();
+
+    assert.deepEqual(Object.keys(files), ['jsonl', 'csv']);
+    const [header, row] = fs.readFileSync(files.csv, 'utf8').trim().split('\n');
+    assert.match(header, /^txHash,contract,operation,readOnly,sender,gasLimit,gasUsed,/);
+    assert.match(row, /,"Reverted, ""bad"" args",1,true$/);
+    assert.equal(readJsonl(files.jsonl).length, 1);
+  });
+
+  it('keeps submission order across flushes', async () => {
+    const collector = new SSIReceiptCollector(0, 0, { directory, flushEvery: 2 });
+
+    for (let i = 0; i < 5; i++) {
+      collector.record(CREATE_DID, { sender: SENDER, gasLimit: 145000, submitTime: i, result: null, error: new Error('timeout') });
+    }
+    const { recorded, files } = await collector.close();
+
+    assert.equal(recorded, 5);
+    assert.deepEqual(readJsonl(files.jsonl).map(record => record.submitTime), [0, 1, 2, 3, 4]);
+  });
+});
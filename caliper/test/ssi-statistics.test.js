@@ -0,0 +1,104 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getStatisticsDirectory, writeRoundStatistics } = require('../workloads/utils/ssi-statistics');
+
+// Part directory of this process's run (see RUN_DIRECTORY)
+const RUN_DIRECTORY = `run-${process.ppid}`;
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - File path
+ * @returns {Object} Parsed content
+ */
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Write a part file dated before this process started, as left behind by an earlier run
+ * @param {string} filePath - Part file
+ * @param {Object} statistics - Part content
+ * @param {boolean} [oldDirectory=false] - Date the part directory back as well
+ */
+function writeOldPart(filePath, statistics, oldDirectory = false) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(statistics));
+  const earlier = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  fs.utimesSync(filePath, earlier, earlier);
+  if (oldDirectory) fs.utimesSync(path.dirname(filePath), earlier, earlier);
+}
+
+describe('getStatisticsDirectory', () => {
+  it('resolves a configured directory', () => {
+    assert.equal(getStatisticsDirectory({ directory: 'statistics' }), path.resolve('statistics'));
+  });
+});
+
+describe('writeRoundStatistics', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ssi-statistics-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('keeps a part per worker and round under the run directory', () => {
+    writeRoundStatistics(directory, 2, 2, { worker: 1, entities: { dids: 3 } });
+
+    const partPath = path.join(directory, 'ssi-state-statistics', RUN_DIRECTORY, 'r2-w1.json');
+    assert.deepEqual(readJson(partPath), { worker: 1, entities: { dids: 3 } });
+  });
+
+  it('combines the parts of all workers into one file per round', () => {
+    writeRoundStatistics(directory, 0, 2, { worker: 1, workload: 'did', entities: { dids: 3, credentials: 1 }, failures: { createDid: { DidAlreadyExists: 2 } } });
+    const combinedPath = writeRoundStatistics(directory, 0, 2, { worker: 0, workload: 'did', entities: { dids: 4, credentials: 0 }, failures: {} });
+
+    assert.equal(combinedPath, path.join(directory, 'ssi-state-statistics-r0.json'));
+    const combined = readJson(combinedPath);
+    assert.equal(combined.round, 0);
+    assert.equal(combined.workers, 2);
+    assert.equal(combined.expectedWorkers, 2);
+    assert.deepEqual(combined.perWorker.map(part => part.worker), [0, 1]);
+    // Numbers are summed, nested objects merged and strings left out
+    assert.deepEqual(combined.totals, {
+      entities: { dids: 7, credentials: 1 },
+      failures: { createDid: { DidAlreadyExists: 2 } }
+    });
+  });
+
+  it('keeps rounds apart and ignores parts of workers beyond the worker count', () => {
+    writeRoundStatistics(directory, 0, 3, { worker: 2, entities: { dids: 5 } });
+    writeRoundStatistics(directory, 1, 1, { worker: 0, entities: { dids: 1 } });
+
+    const combined = readJson(path.join(directory, 'ssi-state-statistics-r1.json'));
+    assert.equal(combined.workers, 1);
+    assert.deepEqual(combined.totals, { entities: { dids: 1 } });
+  });
+
+  it('deletes the parts of earlier runs before combining', () => {
+    const statisticsDirectory = path.join(directory, 'ssi-state-statistics');
+    writeOldPart(path.join(statisticsDirectory, 'run-1', 'r0-w1.json'), { worker: 1, entities: { dids: 100 } }, true);
+    writeOldPart(path.join(statisticsDirectory, RUN_DIRECTORY, 'r0-w1.json'), { worker: 1, entities: { dids: 100 } });
+
+    const combined = readJson(writeRoundStatistics(directory, 0, 2, { worker: 0, entities: { dids: 2 } }));
+
+    assert.equal(combined.workers, 1);
+    assert.deepEqual(combined.totals, { entities: { dids: 2 } });
+    assert.deepEqual(fs.readdirSync(statisticsDirectory), [RUN_DIRECTORY]);
+  });
+
+  it('writes under a custom name', () => {
+    const combinedPath = writeRoundStatistics(directory, 3, 1, { worker: 0, requests: 4 }, 'custom');
+
+    assert.equal(combinedPath, path.join(directory, 'custom-r3.json'));
+    assert.ok(fs.existsSync(path.join(directory, 'custom', RUN_DIRECTORY, 'r3-w0.json')));
+  });
+});
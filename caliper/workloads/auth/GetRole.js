@@ -0,0 +1,61 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+
+/**
+ * Simplified Role Query Workload for Caliper Benchmarking
+ * Read-only call (eth_call) reported as its own round, separate from write throughput
+ */
+class SimplifiedGetRole extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'getRole';
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'role', this.ssiConfig);
+  }
+
+  /**
+   * Execute a single query
+   * @returns {Promise} Query result
+   */
+  async submitTransaction() {
+    try {
+      // Get a target already known to be on-chain from state manager
+      const queryArgs = await this.ssiState.getRoleQueryArguments();
+
+      if (!queryArgs) {
+        throw new Error('Failed to generate role query arguments');
+      }
+
+      // For getRole(address account)
+      return await this.executeSSIOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.ROLE_CONTROL,
+        SimplifiedSSIOperationBase.OPERATIONS.GET_ROLE,
+        queryArgs
+      );
+    } catch (error) {
+      console.error(`❌ Role query failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SimplifiedGetRole} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SimplifiedGetRole();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
@@ -30,11 +30,13 @@ class SimplifiedCreateDid extends SimplifiedSSIOperationBase {
    * @returns {Promise} Transaction result
    */
   async submitTransaction() {
+    let didArgs = null;
+
     try {
       // console.log(`Worker ${this.workerIndex}: Starting DID creation...`);
       
       // Get DID creation arguments from state manager - now async
-      const didArgs = await this.ssiState.getDIDCreationArguments();
+      didArgs = await this.ssiState.getDIDCreationArguments();
       
       if (!didArgs) {
         throw new Error('Failed to generate DID creation arguments');
@@ -55,6 +57,11 @@ class SimplifiedCreateDid extends SimplifiedSSIOperationBase {
         createDidArgs,
         { fromAddress: didArgs.identity } // Use identity as the transaction sender
       );
+
+      // The DID is only recorded once it is on chain
+      if (this.isConfirmed(result)) {
+        this.ssiState.confirmDIDCreation(didArgs);
+      }
       
       if (this.debugMode) {
         console.log(`✅ DID creation successful for Worker ${this.workerIndex}`);
@@ -64,6 +71,8 @@ class SimplifiedCreateDid extends SimplifiedSSIOperationBase {
     } catch (error) {
       console.error(`❌ DID creation failed for Worker ${this.workerIndex}: ${error.message}`);
       throw error;
+    } finally {
+      if (didArgs) this.ssiState.clearPending(didArgs.identity);
     }
   }
 }
@@ -0,0 +1,111 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+
+/**
+ * Signed DID Creation Workload for Caliper Benchmarking
+ * The identity signs the createDid payload off-chain and the worker account relays createDidSigned
+ */
+class SignedCreateDid extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'createDidSigned';
+    this.debugMode = false; // Set to true for verbose logging
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'did', this.ssiConfig);
+  }
+
+  /**
+   * Execute a single transaction
+   * @returns {Promise} Transaction result
+   */
+  async submitTransaction() {
+    let didArgs = null;
+
+    try {
+      // Fresh identity with its own key (never sent on-chain)
+      didArgs = await this.ssiState.getSignedDIDCreationArguments();
+
+      if (!didArgs) {
+        throw new Error('Failed to generate signed DID creation arguments');
+      }
+
+      // Identity signs keccak256(0x19, 0x00, DidRegistry, identity, "createDid", docHash, docCid)
+      const signature = this.signSSIPayload(
+        SimplifiedSSIOperationBase.CONTRACTS.DID_REGISTRY,
+        didArgs.identity,
+        SimplifiedSSIOperationBase.OPERATIONS.CREATE_DID,
+        [
+          { type: 'bytes32', value: didArgs.docHash },
+          { type: 'string', value: didArgs.docCid }
+        ],
+        didArgs.privateKey
+      );
+
+      // For createDidSigned(address identity, uint8 sigV, bytes32 sigR, bytes32 sigS, bytes32 docHash, string docCid)
+      const createDidSignedArgs = {
+        identity: didArgs.identity,
+        sigV: signature.sigV,
+        sigR: signature.sigR,
+        sigS: signature.sigS,
+        docHash: didArgs.docHash,
+        docCid: didArgs.docCid
+      };
+
+      // Relayed from the worker account (must hold a TRUSTEE, ISSUER or HOLDER role)
+      const result = await this.executeSSIOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.DID_REGISTRY,
+        SimplifiedSSIOperationBase.OPERATIONS.CREATE_DID_SIGNED,
+        createDidSignedArgs
+      );
+
+      // The DID is only recorded once it is on chain
+      if (this.isConfirmed(result)) {
+        this.ssiState.confirmDIDCreation(didArgs);
+      }
+
+      if (result && typeof result.Set === 'function') {
+        result.Set('signingTimeMs', signature.signingTimeMs);
+      }
+
+      if (this.debugMode) {
+        console.log(`✅ Signed DID creation successful for Worker ${this.workerIndex} (signing ${signature.signingTimeMs.toFixed(3)}ms)`);
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`❌ Signed DID creation failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    } finally {
+      if (didArgs) this.ssiState.clearPending(didArgs.identity);
+    }
+  }
+
+  /**
+   * Report off-chain signing cost separately from on-chain latency
+   */
+  async cleanupWorkloadModule() {
+    await super.cleanupWorkloadModule();
+    this.logSigningStatistics();
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SignedCreateDid} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SignedCreateDid();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
@@ -0,0 +1,82 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+
+/**
+ * Simplified DID Deactivation Workload for Caliper Benchmarking
+ * Deactivates active DIDs so later rounds can measure the effect on credential issuance
+ */
+class SimplifiedDeactivateDid extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'deactivateDid';
+    this.debugMode = false; // Set to true for verbose logging
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'did', this.ssiConfig);
+  }
+
+  /**
+   * Execute a single transaction
+   * @returns {Promise} Transaction result
+   */
+  async submitTransaction() {
+    let didArgs = null;
+
+    try {
+      // Get DID deactivation arguments from state manager (the identity stays pending until settled)
+      didArgs = await this.ssiState.getDIDDeactivationArguments();
+
+      if (!didArgs) {
+        throw new Error('Failed to generate DID deactivation arguments');
+      }
+
+      // For deactivateDid(address identity)
+      const deactivateDidArgs = {
+        identity: didArgs.identity
+      };
+
+      const result = await this.executeSSIOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.DID_REGISTRY,
+        SimplifiedSSIOperationBase.OPERATIONS.DEACTIVATE_DID,
+        deactivateDidArgs,
+        { fromAddress: didArgs.identity } // Only the DID owner may deactivate its DID
+      );
+
+      // The identity is only recorded as deactivated once the transaction is on chain
+      if (this.isConfirmed(result)) {
+        this.ssiState.confirmDIDDeactivation(didArgs);
+      }
+
+      if (this.debugMode) {
+        console.log(`✅ DID deactivation successful for Worker ${this.workerIndex}`);
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`❌ DID deactivation failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    } finally {
+      if (didArgs) this.ssiState.clearPending(didArgs.identity);
+    }
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SimplifiedDeactivateDid} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SimplifiedDeactivateDid();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
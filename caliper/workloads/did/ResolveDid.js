@@ -0,0 +1,61 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+
+/**
+ * Simplified DID Resolution Workload for Caliper Benchmarking
+ * Read-only call (eth_call) reported as its own round, separate from write throughput
+ */
+class SimplifiedResolveDid extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'resolveDid';
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'did', this.ssiConfig);
+  }
+
+  /**
+   * Execute a single query
+   * @returns {Promise} Query result
+   */
+  async submitTransaction() {
+    try {
+      // Get a target already known to be on-chain from state manager
+      const queryArgs = await this.ssiState.getDIDResolutionArguments();
+
+      if (!queryArgs) {
+        throw new Error('Failed to generate DID resolution arguments');
+      }
+
+      // For resolveDid(address identity)
+      return await this.executeSSIOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.DID_REGISTRY,
+        SimplifiedSSIOperationBase.OPERATIONS.RESOLVE_DID,
+        queryArgs
+      );
+    } catch (error) {
+      console.error(`❌ DID resolution failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SimplifiedResolveDid} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SimplifiedResolveDid();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
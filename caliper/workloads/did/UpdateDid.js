@@ -0,0 +1,84 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+
+/**
+ * Simplified DID Update Workload for Caliper Benchmarking
+ * Measures the read-modify-write cost of updating existing DID documents
+ */
+class SimplifiedUpdateDid extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'updateDid';
+    this.debugMode = false; // Set to true for verbose logging
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'did', this.ssiConfig);
+  }
+
+  /**
+   * Execute a single transaction
+   * @returns {Promise} Transaction result
+   */
+  async submitTransaction() {
+    let didArgs = null;
+
+    try {
+      // Get DID update arguments from state manager (the identity stays pending until settled)
+      didArgs = await this.ssiState.getDIDUpdateArguments();
+
+      if (!didArgs) {
+        throw new Error('Failed to generate DID update arguments');
+      }
+
+      // For updateDid(address identity, bytes32 docHash, string calldata docCid)
+      const updateDidArgs = {
+        identity: didArgs.identity,
+        docHash: didArgs.docHash,
+        docCid: didArgs.docCid
+      };
+
+      const result = await this.executeSSIOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.DID_REGISTRY,
+        SimplifiedSSIOperationBase.OPERATIONS.UPDATE_DID,
+        updateDidArgs,
+        { fromAddress: didArgs.identity } // Only the DID owner may update its document
+      );
+
+      // The new document is only recorded once it is on chain
+      if (this.isConfirmed(result)) {
+        this.ssiState.confirmDIDUpdate(didArgs);
+      }
+
+      if (this.debugMode) {
+        console.log(`✅ DID update successful for Worker ${this.workerIndex}`);
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`❌ DID update failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    } finally {
+      if (didArgs) this.ssiState.clearPending(didArgs.identity);
+    }
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SimplifiedUpdateDid} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SimplifiedUpdateDid();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
@@ -0,0 +1,297 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+const { getRandomSource } = require('../utils/ssi-random');
+
+const { CONTRACTS, OPERATIONS } = SimplifiedSSIOperationBase;
+
+// Default traffic mix, used when the round does not configure "operations"
+const DEFAULT_OPERATION_MIX = [
+  { name: OPERATIONS.CREATE_DID, weight: 30 },
+  { name: OPERATIONS.ISSUE_CREDENTIAL, weight: 40 },
+  { name: OPERATIONS.UPDATE_CREDENTIAL_STATUS, weight: 20 },
+  { name: OPERATIONS.RESOLVE_CREDENTIAL, weight: 10 }
+];
+
+// Operation that establishes the prerequisite of another operation
+// e.g. a credential can only be issued to a holder whose DID already exists
+const OPERATION_PREREQUISITES = {
+  [OPERATIONS.CREATE_DID]: OPERATIONS.ASSIGN_ROLE,
+  [OPERATIONS.UPDATE_DID]: OPERATIONS.CREATE_DID,
+  [OPERATIONS.DEACTIVATE_DID]: OPERATIONS.CREATE_DID,
+  [OPERATIONS.RESOLVE_DID]: OPERATIONS.CREATE_DID,
+  [OPERATIONS.ISSUE_CREDENTIAL]: OPERATIONS.CREATE_DID,
+  [OPERATIONS.UPDATE_CREDENTIAL_STATUS]: OPERATIONS.ISSUE_CREDENTIAL,
+  [OPERATIONS.RESOLVE_CREDENTIAL]: OPERATIONS.ISSUE_CREDENTIAL
+};
+
+// Argument builders per operation: contract, ordered arguments, sender, in-flight keys and the
+// state update recorded once the transaction is confirmed
+const OPERATION_HANDLERS = {
+  [OPERATIONS.ASSIGN_ROLE]: {
+    contract: CONTRACTS.ROLE_CONTROL,
+    build: async (state) => {
+      const roleArgs = state.getRoleAssignmentArguments();
+      return {
+        args: { role: roleArgs.role, account: roleArgs.account },
+        pendingKeys: [roleArgs.account]
+      };
+    }
+  },
+  [OPERATIONS.GET_ROLE]: {
+    contract: CONTRACTS.ROLE_CONTROL,
+    build: async (state) => ({ args: await state.getRoleQueryArguments() })
+  },
+  [OPERATIONS.CREATE_DID]: {
+    contract: CONTRACTS.DID_REGISTRY,
+    build: async (state) => {
+      const didArgs = await state.getDIDCreationArguments();
+      return {
+        args: { identity: didArgs.identity, docHash: didArgs.docHash, docCid: didArgs.docCid },
+        options: { fromAddress: didArgs.identity },
+        pendingKeys: [didArgs.identity],
+        confirm: () => state.confirmDIDCreation(didArgs)
+      };
+    }
+  },
+  [OPERATIONS.UPDATE_DID]: {
+    contract: CONTRACTS.DID_REGISTRY,
+    build: async (state) => {
+      const didArgs = await state.getDIDUpdateArguments();
+      return {
+        args: { identity: didArgs.identity, docHash: didArgs.docHash, docCid: didArgs.docCid },
+        options: { fromAddress: didArgs.identity },
+        pendingKeys: [didArgs.identity],
+        confirm: () => state.confirmDIDUpdate(didArgs)
+      };
+    }
+  },
+  [OPERATIONS.DEACTIVATE_DID]: {
+    contract: CONTRACTS.DID_REGISTRY,
+    build: async (state) => {
+      const didArgs = await state.getDIDDeactivationArguments();
+      return {
+        args: { identity: didArgs.identity },
+        options: { fromAddress: didArgs.identity },
+        pendingKeys: [didArgs.identity],
+        confirm: () => state.confirmDIDDeactivation(didArgs)
+      };
+    }
+  },
+  [OPERATIONS.RESOLVE_DID]: {
+    contract: CONTRACTS.DID_REGISTRY,
+    build: async (state) => ({ args: await state.getDIDResolutionArguments() })
+  },
+  [OPERATIONS.ISSUE_CREDENTIAL]: {
+    contract: CONTRACTS.CREDENTIAL_REGISTRY,
+    build: async (state) => {
+      const credentialArgs = await state.getCredentialIssuanceArguments();
+      return {
+        args: {
+          identity: credentialArgs.identity,
+          credentialId: credentialArgs.credentialId,
+          credentialCid: credentialArgs.credentialCid
+        },
+        options: { fromAddress: credentialArgs.issuer },
+        pendingKeys: [credentialArgs.credentialId],
+        confirm: () => state.confirmCredentialIssuance(credentialArgs)
+      };
+    }
+  },
+  [OPERATIONS.UPDATE_CREDENTIAL_STATUS]: {
+    contract: CONTRACTS.CREDENTIAL_REGISTRY,
+    build: async (state) => {
+      const statusArgs = await state.getCredentialStatusUpdateArguments();
+      return {
+        args: {
+          credentialId: statusArgs.credentialId,
+          previousStatus: statusArgs.previousStatus,
+          newStatus: statusArgs.newStatus
+        },
+        options: { fromAddress: statusArgs.issuer },
+        pendingKeys: [statusArgs.credentialId],
+        confirm: () => state.confirmCredentialStatusUpdate(statusArgs)
+      };
+    }
+  },
+  [OPERATIONS.RESOLVE_CREDENTIAL]: {
+    contract: CONTRACTS.CREDENTIAL_REGISTRY,
+    build: async (state) => ({ args: await state.getCredentialResolutionArguments() })
+  }
+};
+
+/**
+ * Weighted Mixed SSI Operations Workload for Caliper Benchmarking
+ * Picks one operation per transaction from the configured weights to produce a production-like traffic mix
+ */
+class MixedSSIOperations extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'mixed';
+  }
+
+  /**
+   * Initialize the workload module and the weighted operation table
+   */
+  async initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext) {
+    await super.initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext);
+
+    this.operationMix = this.buildOperationMix(this.roundArguments.operations || DEFAULT_OPERATION_MIX);
+    this.pinOperationGasLimits(this.roundArguments.operations || DEFAULT_OPERATION_MIX);
+    this.operationCounts = {};
+    // Operation picks draw from their own stream so they do not shift the state manager's arguments
+    this.operationRandom = getRandomSource(this.ssiConfig.seed, this.workerIndex, 'operations');
+
+    const mixSummary = this.operationMix.map(entry => `${entry.name}=${entry.weight}`).join(', ');
+    console.log(`🎲 Worker ${this.workerIndex} mixed operation weights: ${mixSummary}`);
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'mixed', this.ssiConfig);
+  }
+
+  /**
+   * Validate the configured operations and build the cumulative weight table
+   * @param {Array<Object>} operations - Entries of { name, weight, gasLimit }
+   * @returns {Array<Object>} Entries of { name, weight, cumulativeWeight }
+   * @protected
+   */
+  buildOperationMix(operations) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new Error('SSI workload error: "operations" must be a non-empty list of { name, weight } entries');
+    }
+
+    let cumulativeWeight = 0;
+    const operationMix = operations.map(entry => {
+      const handler = OPERATION_HANDLERS[entry.name];
+      if (!handler) {
+        throw new Error(`SSI workload error: unsupported mixed operation "${entry.name}"`);
+      }
+
+      const weight = Number(entry.weight);
+      if (!Number.isFinite(weight) || weight <= 0) {
+        throw new Error(`SSI workload error: weight for "${entry.name}" must be a positive number`);
+      }
+
+      cumulativeWeight += weight;
+      return { name: entry.name, weight, cumulativeWeight };
+    });
+
+    this.totalWeight = cumulativeWeight;
+    return operationMix;
+  }
+
+  /**
+   * Pin the per-operation gasLimit values of the mix in the connector's contract context
+   * Runs after calibration, so an explicit gasLimit wins over estimates and configured limits
+   * @param {Array<Object>} operations - Entries of { name, weight, gasLimit }
+   * @protected
+   */
+  pinOperationGasLimits(operations) {
+    for (const entry of operations) {
+      if (entry.gasLimit === undefined || entry.gasLimit === null) continue;
+      this.pinGasLimit(OPERATION_HANDLERS[entry.name].contract, entry.name, entry.gasLimit);
+    }
+  }
+
+  /**
+   * Pick the next operation according to the configured weights
+   * @returns {string} Operation name
+   * @protected
+   */
+  pickOperation() {
+    const target = this.operationRandom.next() * this.totalWeight;
+    const entry = this.operationMix.find(candidate => target < candidate.cumulativeWeight);
+    return (entry || this.operationMix[this.operationMix.length - 1]).name;
+  }
+
+  /**
+   * Build the request for an operation, falling back to its prerequisite operation
+   * when the state has nothing the operation could act on yet
+   * @param {string} operationName - Operation picked from the mix
+   * @returns {Promise<Object>} Prepared operation with name, contract, args, options, pendingKeys and confirm
+   * @protected
+   */
+  async prepareOperation(operationName) {
+    let currentOperation = operationName;
+
+    for (;;) {
+      const handler = OPERATION_HANDLERS[currentOperation];
+      try {
+        const prepared = await handler.build(this.ssiState);
+        return { name: currentOperation, contract: handler.contract, ...prepared };
+      } catch (error) {
+        const prerequisite = OPERATION_PREREQUISITES[currentOperation];
+        if (!prerequisite) {
+          throw error;
+        }
+        console.log(`⚠️ ${currentOperation} prerequisites not met (${error.message}); running ${prerequisite} instead`);
+        currentOperation = prerequisite;
+      }
+    }
+  }
+
+  /**
+   * Execute a single transaction
+   * @returns {Promise} Transaction result
+   */
+  async submitTransaction() {
+    const operationName = this.pickOperation();
+    let prepared;
+
+    try {
+      prepared = await this.prepareOperation(operationName);
+    } catch (error) {
+      console.error(`❌ Mixed operation ${operationName} could not be prepared for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    }
+
+    this.operationCounts[prepared.name] = (this.operationCounts[prepared.name] || 0) + 1;
+
+    // Keep in-flight identities and credentials away from dependent operations until confirmed
+    const pendingKeys = prepared.pendingKeys || [];
+    pendingKeys.forEach(key => this.ssiState.markPending(key));
+
+    try {
+      const result = await this.executeSSIOperation(
+        prepared.contract,
+        prepared.name,
+        prepared.args,
+        prepared.options
+      );
+      if (prepared.confirm && this.isConfirmed(result)) prepared.confirm();
+      return result;
+    } catch (error) {
+      console.error(`❌ Mixed operation ${prepared.name} failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    } finally {
+      pendingKeys.forEach(key => this.ssiState.clearPending(key));
+    }
+  }
+
+  /**
+   * Log the realised operation mix at the end of the round
+   */
+  async cleanupWorkloadModule() {
+    await super.cleanupWorkloadModule();
+    console.log(`📊 Worker ${this.workerIndex} mixed operation counts: ${JSON.stringify(this.operationCounts)}`);
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {MixedSSIOperations} Workload module instance
+ */
+function createWorkloadModule() {
+  return new MixedSSIOperations();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
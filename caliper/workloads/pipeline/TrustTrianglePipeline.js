@@ -0,0 +1,155 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+
+const { CONTRACTS, OPERATIONS, ROLES } = SimplifiedSSIOperationBase;
+
+// Onboarding steps in execution order
+const PIPELINE_STEPS = [OPERATIONS.ASSIGN_ROLE, OPERATIONS.CREATE_DID, OPERATIONS.ISSUE_CREDENTIAL];
+
+/**
+ * End-to-end Trust Triangle Pipeline Workload for Caliper Benchmarking
+ * Onboards one new identity per transaction: assignRole -> createDid -> issueCredential,
+ * waiting for each step to confirm before sending the next, and reports onboarding latency
+ */
+class TrustTrianglePipeline extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'onboarding';
+    this.onboardingLatencies = [];
+    this.stepLatencies = Object.fromEntries(PIPELINE_STEPS.map(step => [step, []]));
+    this.failedOnboardings = {};
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'pipeline', this.ssiConfig);
+  }
+
+  /**
+   * Send one pipeline step and wait for its confirmation
+   * @param {string} operation - Pipeline step
+   * @param {string} contractName - Contract name
+   * @param {Object} args - Ordered function arguments
+   * @param {Object} options - Additional request options
+   * @returns {Promise<Object>} Confirmed transaction result
+   * @private
+   */
+  async _runStep(operation, contractName, args, options = {}) {
+    const startTime = Date.now();
+    const result = await this.executeSSIOperation(contractName, operation, args, options);
+
+    if (!this.isConfirmed(result)) {
+      throw new Error(`${operation} was not confirmed`);
+    }
+
+    this.stepLatencies[operation].push(Date.now() - startTime);
+    return result;
+  }
+
+  /**
+   * Onboard a single new identity through the trust triangle
+   * @returns {Promise} Result of the final (issueCredential) step
+   */
+  async submitTransaction() {
+    const onboardingStart = Date.now();
+    const { address: identity, role } = await this.ssiState.createOnboardingIdentity(ROLES.HOLDER);
+    let currentStep = OPERATIONS.ASSIGN_ROLE;
+
+    try {
+      // Step 1: assignRole(ROLES role, address account) from the trustee
+      await this._runStep(OPERATIONS.ASSIGN_ROLE, CONTRACTS.ROLE_CONTROL, { role, account: identity });
+      this.ssiState.confirmOnboardingRole(identity, role);
+
+      // Step 2: createDid(address identity, bytes32 docHash, string docCid)
+      currentStep = OPERATIONS.CREATE_DID;
+      const didArgs = this.ssiState.getOnboardingDIDArguments(identity);
+      await this._runStep(
+        OPERATIONS.CREATE_DID,
+        CONTRACTS.DID_REGISTRY,
+        { identity: didArgs.identity, docHash: didArgs.docHash, docCid: didArgs.docCid },
+        { fromAddress: identity }
+      );
+      this.ssiState.confirmOnboardingDID(didArgs);
+
+      // Step 3: issueCredential(address identity, bytes32 credentialId, string credentialCid) from the issuer
+      currentStep = OPERATIONS.ISSUE_CREDENTIAL;
+      const credentialArgs = this.ssiState.getOnboardingCredentialArguments(identity);
+      const result = await this._runStep(
+        OPERATIONS.ISSUE_CREDENTIAL,
+        CONTRACTS.CREDENTIAL_REGISTRY,
+        {
+          identity: credentialArgs.identity,
+          credentialId: credentialArgs.credentialId,
+          credentialCid: credentialArgs.credentialCid
+        },
+        { fromAddress: credentialArgs.issuer }
+      );
+      this.ssiState.confirmOnboardingCredential(credentialArgs);
+
+      // Reported as a summary in cleanupWorkloadModule
+      this.onboardingLatencies.push(Date.now() - onboardingStart);
+
+      return result;
+    } catch (error) {
+      this.failedOnboardings[currentStep] = (this.failedOnboardings[currentStep] || 0) + 1;
+      console.error(`❌ Onboarding of ${identity.substring(0, 10)}... failed at ${currentStep} for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    } finally {
+      this.ssiState.clearPending(identity);
+    }
+  }
+
+  /**
+   * Summarize a list of latencies in milliseconds
+   * @param {Array<number>} latencies - Latency samples
+   * @returns {Object|null} count, avg, p50, p95 and max, or null when empty
+   * @private
+   */
+  _summarizeLatencies(latencies) {
+    if (latencies.length === 0) return null;
+
+    const sorted = [...latencies].sort((a, b) => a - b);
+    const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+
+    return {
+      count: sorted.length,
+      avg: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+      p50: percentile(50),
+      p95: percentile(95),
+      max: sorted[sorted.length - 1]
+    };
+  }
+
+  /**
+   * Report end-to-end and per-step onboarding latency for this worker
+   */
+  async cleanupWorkloadModule() {
+    await super.cleanupWorkloadModule();
+    const summary = {
+      worker: this.workerIndex,
+      onboarding: this._summarizeLatencies(this.onboardingLatencies),
+      steps: Object.fromEntries(PIPELINE_STEPS.map(step => [step, this._summarizeLatencies(this.stepLatencies[step])])),
+      failedAtStep: this.failedOnboardings
+    };
+
+    console.log(`📊 Onboarding latency (ms) for Worker ${this.workerIndex}: ${JSON.stringify(summary)}`);
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {TrustTrianglePipeline} Workload module instance
+ */
+function createWorkloadModule() {
+  return new TrustTrianglePipeline();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
@@ -0,0 +1,193 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+
+const { CONTRACTS, OPERATIONS } = SimplifiedSSIOperationBase;
+
+// Seeding phases in execution order; each phase starts once the previous ones have settled
+const SEED_PHASES = [OPERATIONS.ASSIGN_ROLE, OPERATIONS.CREATE_DID, OPERATIONS.ISSUE_CREDENTIAL];
+
+/**
+ * Population Seeding Workload for Caliper Benchmarking
+ * Builds the ecosystem described by the "population" round argument on chain before the measured
+ * rounds: role assignments, then DIDs, then credentials per holder. Each Caliper transaction sends
+ * one seeding transaction; once this worker's share is seeded, the remaining transactions read back
+ * the roles of seeded identities.
+ */
+class SeedPopulation extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'seedPopulation';
+    this.seedStats = Object.fromEntries(SEED_PHASES.map(phase => [phase, { planned: 0, confirmed: 0, failed: 0 }]));
+    this.queue = [];
+    this.verifyCursor = 0;
+  }
+
+  /**
+   * Plan this worker's share of the population and fund the generated identities
+   */
+  async initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext) {
+    await super.initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext);
+
+    if (!this.ssiConfig.population) {
+      throw new Error('SSI workload error: SeedPopulation needs a "population" round argument');
+    }
+
+    const plan = await this.ssiState.getPopulationSeedPlan(this.totalWorkers);
+    this.identities = plan.identities;
+    this.queue = [
+      ...plan.roles.map(step => ({ ...step, operation: OPERATIONS.ASSIGN_ROLE })),
+      ...plan.dids.map(step => ({ ...step, operation: OPERATIONS.CREATE_DID })),
+      ...plan.credentials.map(step => ({ ...step, operation: OPERATIONS.ISSUE_CREDENTIAL }))
+    ];
+
+    this.phases = new Map();
+    for (const phase of SEED_PHASES) {
+      const steps = this.queue.filter(step => step.operation === phase).length;
+      this.seedStats[phase].planned = steps;
+      this.phases.set(phase, this._createPhase(steps));
+    }
+
+    // Generated issuers send their credentials from their own keys
+    await this.fundSenderAccounts();
+
+    console.log(`🌱 Worker ${this.workerIndex} seeding ${this.identities.length} identities: ` +
+      `${plan.roles.length} roles, ${plan.dids.length} DIDs, ${plan.credentials.length} credentials ` +
+      `(${this.queue.length} transactions)`);
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'population', this.ssiConfig);
+  }
+
+  /**
+   * Track the outstanding transactions of a seeding phase
+   * @param {number} steps - Transactions planned for the phase
+   * @returns {Object} { remaining, done } where done resolves once every transaction settled
+   * @private
+   */
+  _createPhase(steps) {
+    const phase = { remaining: steps };
+    phase.done = new Promise(resolve => { phase.resolve = resolve; });
+    if (steps === 0) phase.resolve();
+    return phase;
+  }
+
+  /**
+   * Send one seeding transaction and record it in the state manager once confirmed
+   * @param {Object} step - { operation, address, role, slot }
+   * @returns {Promise<Object>} { result, confirmed }
+   * @private
+   */
+  async _sendSeedStep(step) {
+    let result;
+    let confirm;
+
+    if (step.operation === OPERATIONS.ASSIGN_ROLE) {
+      // assignRole(ROLES role, address account) from the trustee
+      result = await this.executeSSIOperation(CONTRACTS.ROLE_CONTROL, OPERATIONS.ASSIGN_ROLE, { role: step.role, account: step.address });
+      confirm = () => this.ssiState.confirmOnboardingRole(step.address, step.role);
+    } else if (step.operation === OPERATIONS.CREATE_DID) {
+      // createDid(address identity, bytes32 docHash, string docCid)
+      const didArgs = this.ssiState.getOnboardingDIDArguments(step.address);
+      result = await this.executeSSIOperation(
+        CONTRACTS.DID_REGISTRY,
+        OPERATIONS.CREATE_DID,
+        { identity: didArgs.identity, docHash: didArgs.docHash, docCid: didArgs.docCid }
+      );
+      confirm = () => this.ssiState.confirmOnboardingDID(didArgs);
+    } else {
+      // issueCredential(address identity, bytes32 credentialId, string credentialCid) from a rotating issuer
+      const credentialArgs = this.ssiState.getOnboardingCredentialArguments(step.address);
+      result = await this.executeSSIOperation(
+        CONTRACTS.CREDENTIAL_REGISTRY,
+        OPERATIONS.ISSUE_CREDENTIAL,
+        {
+          identity: credentialArgs.identity,
+          credentialId: credentialArgs.credentialId,
+          credentialCid: credentialArgs.credentialCid
+        },
+        { fromAddress: credentialArgs.issuer }
+      );
+      confirm = () => this.ssiState.confirmOnboardingCredential(credentialArgs);
+    }
+
+    const confirmed = this.isConfirmed(result);
+    if (confirmed) confirm();
+    return { result, confirmed };
+  }
+
+  /**
+   * Send the next seeding transaction, or read back a seeded role once this worker's share is done
+   * @returns {Promise} Transaction result
+   */
+  async submitTransaction() {
+    const step = this.queue.shift();
+    if (!step) {
+      return this._verifySeededRole();
+    }
+
+    // Roles must exist before DIDs, and issuer/holder DIDs before credentials
+    const phaseIndex = SEED_PHASES.indexOf(step.operation);
+    await Promise.all(SEED_PHASES.slice(0, phaseIndex).map(phase => this.phases.get(phase).done));
+
+    const stats = this.seedStats[step.operation];
+    try {
+      const { result, confirmed } = await this._sendSeedStep(step);
+      stats[confirmed ? 'confirmed' : 'failed']++;
+      return result;
+    } catch (error) {
+      stats.failed++;
+      console.error(`❌ Seeding ${step.operation} for ${step.slot} (${step.address.substring(0, 10)}...) failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    } finally {
+      const phase = this.phases.get(step.operation);
+      if (--phase.remaining === 0) phase.resolve();
+    }
+  }
+
+  /**
+   * Query the role of the next seeded identity
+   * @returns {Promise} Query result
+   * @private
+   */
+  async _verifySeededRole() {
+    const account = this.identities.length > 0
+      ? this.identities[this.verifyCursor++ % this.identities.length]
+      : this.fromAddress;
+
+    // For getRole(address account)
+    return this.executeSSIOperation(CONTRACTS.ROLE_CONTROL, OPERATIONS.GET_ROLE, { account });
+  }
+
+  /**
+   * Report what this worker seeded and what is still missing
+   */
+  async cleanupWorkloadModule() {
+    await super.cleanupWorkloadModule();
+
+    const unsent = this.queue.length;
+    console.log(`🌱 Worker ${this.workerIndex} population seeding: ${JSON.stringify({ ...this.seedStats, unsent })}`);
+    if (unsent > 0) {
+      console.warn(`⚠️ Worker ${this.workerIndex} ran out of transactions with ${unsent} seeding steps unsent; raise txNumber of the seeding round or run it again`);
+    }
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SeedPopulation} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SeedPopulation();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
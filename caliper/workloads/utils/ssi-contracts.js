@@ -0,0 +1,140 @@
+'use strict';
+
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Compiled contract artifacts referenced by the Caliper network configuration
+const CONTRACT_ARTIFACT_DIRECTORY = path.join(__dirname, '..', '..', 'benchmarks', 'contracts');
+
+// SSI contracts whose custom errors are used to decode revert data
+const SSI_CONTRACT_NAMES = ['RoleControl', 'DidRegistry', 'CredentialRegistry'];
+
+// Parsed ABIs and interfaces, loaded once per worker process
+const ABI_CACHE = new Map();
+const INTERFACE_CACHE = new Map();
+
+/**
+ * Load the ABI of an SSI contract from its compiled artifact
+ * @param {string} contractName - Contract name (e.g. "DidRegistry")
+ * @returns {Array<Object>} Contract ABI
+ */
+function loadContractAbi(contractName) {
+  if (!ABI_CACHE.has(contractName)) {
+    const artifact = require(path.join(CONTRACT_ARTIFACT_DIRECTORY, `${contractName}.json`));
+    ABI_CACHE.set(contractName, artifact.abi);
+  }
+  return ABI_CACHE.get(contractName);
+}
+
+/**
+ * Get an ethers Interface for encoding calls and decoding logs of an SSI contract
+ * @param {string} contractName - Contract name
+ * @returns {ethers.Interface} Contract interface
+ */
+function getContractInterface(contractName) {
+  if (!INTERFACE_CACHE.has(contractName)) {
+    INTERFACE_CACHE.set(contractName, new ethers.Interface(loadContractAbi(contractName)));
+  }
+  return INTERFACE_CACHE.get(contractName);
+}
+
+/**
+ * Execute a view function through the connector's web3 instance and decode the result
+ * @param {Object} web3 - web3 instance from the Caliper Ethereum context
+ * @param {string} contractName - Contract name
+ * @param {string} contractAddress - Deployed contract address
+ * @param {string} functionName - View function name
+ * @param {Array} args - Ordered function arguments
+ * @returns {Promise<ethers.Result>} Decoded return values
+ */
+async function callContractView(web3, contractName, contractAddress, functionName, args = []) {
+  const contractInterface = getContractInterface(contractName);
+  const data = contractInterface.encodeFunctionData(functionName, args);
+  const returnData = await web3.eth.call({ to: contractAddress, data });
+  return contractInterface.decodeFunctionResult(functionName, returnData);
+}
+
+/**
+ * Find revert data in an error returned by a node or library
+ * Nethermind reports it in error.data, either as hex or as "Reverted 0x..."
+ * @param {*} source - Error object, JSON-RPC error data or string
+ * @returns {string|null} Revert data (hex) or null if none was found
+ */
+function extractRevertData(source) {
+  if (!source) return null;
+
+  if (typeof source === 'string') {
+    const match = source.match(/0x[0-9a-fA-F]{8,}/);
+    return match ? match[0] : null;
+  }
+
+  return extractRevertData(source.data) ||
+    extractRevertData(source.error) ||
+    extractRevertData(source.originalError) ||
+    null;
+}
+
+/**
+ * Convert decoded error arguments into plain JSON values
+ * @param {*} value - Decoded value
+ * @returns {*} JSON-safe value
+ * @private
+ */
+function toPlainValue(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  return value;
+}
+
+/**
+ * Decode revert data against the custom errors of the SSI contracts (plus Error(string) and Panic(uint256))
+ * @param {string} revertData - Revert data (hex)
+ * @param {string} preferredContract - Contract the request was sent to, tried first
+ * @returns {Object|null} { name, signature, args } or null if no contract defines the selector
+ */
+function decodeRevertData(revertData, preferredContract = null) {
+  if (!revertData || revertData.length < 10) return null;
+
+  const contractNames = preferredContract
+    ? [preferredContract, ...SSI_CONTRACT_NAMES.filter(contractName => contractName !== preferredContract)]
+    : SSI_CONTRACT_NAMES;
+
+  for (const contractName of contractNames) {
+    let decoded;
+    try {
+      decoded = getContractInterface(contractName).parseError(revertData);
+    } catch (error) {
+      continue; // selector matched but the payload did not decode
+    }
+    if (!decoded) continue;
+
+    const args = {};
+    decoded.fragment.inputs.forEach((input, index) => {
+      args[input.name || `arg${index}`] = toPlainValue(decoded.args[index]);
+    });
+    return { name: decoded.name, signature: decoded.signature, args };
+  }
+
+  return null;
+}
+
+/**
+ * Format a decoded revert for logs, e.g. DidAlreadyExist(identity=0x...)
+ * @param {Object} decoded - Result of decodeRevertData
+ * @returns {string} Readable error
+ */
+function formatRevert(decoded) {
+  const args = Object.entries(decoded.args).map(([name, value]) => `${name}=${value}`).join(', ');
+  return `${decoded.name}(${args})`;
+}
+
+module.exports = {
+  CONTRACT_ARTIFACT_DIRECTORY,
+  SSI_CONTRACT_NAMES,
+  loadContractAbi,
+  getContractInterface,
+  callContractView,
+  extractRevertData,
+  decodeRevertData,
+  formatRevert
+};
@@ -0,0 +1,241 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Defaults for the "coordination" round argument (enabled defaults to workers.number > 1)
+const DEFAULT_COORDINATION_CONFIG = {
+  directory: 'coordination',
+  syncIntervalMs: 2000
+};
+
+// Kinds of claims workers take before sending a transaction another worker could duplicate
+const CLAIM_KINDS = {
+  ROLE: 'role', // assignRole target account
+  DID: 'did', // createDid identity
+  DEACTIVATION: 'deactivate', // deactivateDid identity
+  STATUS: 'status' // one credential status transition
+};
+
+// Coordinators per directory, deployment and worker, so journal offsets survive across rounds
+const COORDINATORS = new Map();
+
+/**
+ * Resolve the "coordination" round argument
+ * @param {Object} config - { enabled, directory, syncIntervalMs }
+ * @param {number} totalWorkers - Number of Caliper workers
+ * @returns {Object} Settings with defaults applied
+ */
+function resolveCoordinationSettings(config = {}, totalWorkers = 1) {
+  const settings = { ...DEFAULT_COORDINATION_CONFIG, enabled: totalWorkers > 1, ...config };
+  settings.enabled = settings.enabled !== false;
+  settings.syncIntervalMs = Number(settings.syncIntervalMs);
+
+  if (!Number.isFinite(settings.syncIntervalMs) || settings.syncIntervalMs < 0) {
+    throw new Error(`SSI workload error: coordination.syncIntervalMs must be a non-negative number, got ${config.syncIntervalMs}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Build the claim key of a credential status transition
+ * Each transition of the lifecycle (ACTIVE -> SUSPENDED -> ACTIVE -> REVOKED) is a distinct pair
+ * @param {string} credentialId - Credential ID
+ * @param {number} previousStatus - Status before the transition
+ * @param {number} newStatus - Status after the transition
+ * @returns {string} Claim key
+ */
+function statusClaimKey(credentialId, previousStatus, newStatus) {
+  return `${credentialId}-${previousStatus}-${newStatus}`;
+}
+
+/**
+ * Check whether a worker owns a keyed account every worker knows (network config accounts)
+ * Ownership is derived from the address alone, so workers agree on it without a coordinator
+ * @param {string} address - Account address
+ * @param {number} workerIndex - Worker index
+ * @param {number} totalWorkers - Number of workers in the round
+ * @returns {boolean} True if the worker owns the account
+ */
+function ownsAccount(address, workerIndex, totalWorkers) {
+  return Number(BigInt(address) % BigInt(totalWorkers)) === workerIndex;
+}
+
+/**
+ * Coordinates the Caliper workers of one host through a shared directory
+ * Claims are files created with O_EXCL, so exactly one worker wins each identity, DID or status
+ * transition. Confirmed results are appended to a journal per worker, which the other workers
+ * replay into their state managers.
+ */
+class SSICoordinator {
+  /**
+   * Create a coordinator
+   * @param {Object} settings - Result of resolveCoordinationSettings
+   * @param {number} workerIndex - Worker index
+   * @param {number} totalWorkers - Number of Caliper workers
+   * @param {string} namespace - Chain and deployment the claims and journals belong to
+   */
+  constructor(settings, workerIndex, totalWorkers, namespace) {
+    this.workerIndex = workerIndex;
+    this.totalWorkers = totalWorkers;
+    this.directory = path.resolve(settings.directory, namespace);
+    this.claimDirectory = path.join(this.directory, 'claims');
+    this.journalPath = path.join(this.directory, `journal-w${workerIndex}.jsonl`);
+
+    // Journal file name -> { offset, partial } of the next unread byte
+    this.journalOffsets = new Map();
+
+    this.stats = { claimed: 0, conflicts: 0, released: 0, published: 0, pulled: 0 };
+
+    fs.mkdirSync(this.claimDirectory, { recursive: true });
+  }
+
+  /**
+   * Resolve the file of a claim
+   * @param {string} kind - One of CLAIM_KINDS
+   * @param {string} key - Address, credential ID or transition key
+   * @returns {string} Claim file path
+   * @private
+   */
+  _claimPath(kind, key) {
+    return path.join(this.claimDirectory, `${kind}-${String(key).toLowerCase()}`);
+  }
+
+  /**
+   * Read the worker index stored in a claim
+   * @param {string} filePath - Claim file path
+   * @returns {number|null} Owning worker, or null if the claim vanished
+   * @private
+   */
+  _readClaimOwner(filePath) {
+    try {
+      return Number(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Claim an entity for this worker
+   * @param {string} kind - One of CLAIM_KINDS
+   * @param {string} key - Address, credential ID or transition key
+   * @returns {boolean} True if this worker now holds the claim, false if another worker (or an earlier
+   *   request of this worker) holds it
+   */
+  claim(kind, key) {
+    try {
+      fs.writeFileSync(this._claimPath(kind, key), String(this.workerIndex), { flag: 'wx' });
+      this.stats.claimed++;
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      this.stats.conflicts++;
+      return false;
+    }
+  }
+
+  /**
+   * Release a claim held by this worker after its transaction failed, so the entity can be picked again
+   * Claims of other workers are left alone
+   * @param {string} kind - One of CLAIM_KINDS
+   * @param {string} key - Address, credential ID or transition key
+   */
+  release(kind, key) {
+    const filePath = this._claimPath(kind, key);
+    if (this._readClaimOwner(filePath) !== this.workerIndex) return;
+
+    fs.rmSync(filePath, { force: true });
+    this.stats.released++;
+  }
+
+  /**
+   * Check whether this worker sends from a keyed account every worker knows (network config accounts)
+   * Each shared account belongs to exactly one worker, derived from its address, so two workers never
+   * race on its nonces and the accounts spread evenly without any file access
+   * @param {string} address - Sender address
+   * @returns {boolean} True if this worker owns the sender
+   */
+  ownsSender(address) {
+    return ownsAccount(address, this.workerIndex, this.totalWorkers);
+  }
+
+  /**
+   * Append a confirmed result to this worker's journal
+   * @param {Object} entry - { type, ... } as understood by the state manager's applyCoordinationEntries
+   */
+  publish(entry) {
+    fs.appendFileSync(this.journalPath, `${JSON.stringify({ ...entry, worker: this.workerIndex })}\n`);
+    this.stats.published++;
+  }
+
+  /**
+   * Read the entries other workers appended to their journals since the last pull
+   * @returns {Array<Object>} New journal entries
+   */
+  pull() {
+    const entries = [];
+    const ownJournal = path.basename(this.journalPath);
+
+    for (const fileName of fs.readdirSync(this.directory)) {
+      if (!/^journal-w\d+\.jsonl$/.test(fileName) || fileName === ownJournal) continue;
+
+      const filePath = path.join(this.directory, fileName);
+      const position = this.journalOffsets.get(fileName) || { offset: 0, partial: '' };
+      const size = fs.statSync(filePath).size;
+      if (size <= position.offset) continue;
+
+      const buffer = Buffer.alloc(size - position.offset);
+      const fd = fs.openSync(filePath, 'r');
+      try {
+        fs.readSync(fd, buffer, 0, buffer.length, position.offset);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      // A line still being appended stays buffered until its newline arrives
+      const lines = (position.partial + buffer.toString('utf8')).split('\n');
+      const partial = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) entries.push(JSON.parse(line));
+      }
+      this.journalOffsets.set(fileName, { offset: size, partial });
+    }
+
+    this.stats.pulled += entries.length;
+    return entries;
+  }
+
+  /**
+   * Claim, conflict, release and journal counts
+   * @returns {Object} Coordination statistics
+   */
+  getStatistics() {
+    return { ...this.stats };
+  }
+}
+
+/**
+ * Get the coordinator of a worker for a deployment
+ * @param {Object} settings - Result of resolveCoordinationSettings
+ * @param {number} workerIndex - Worker index
+ * @param {number} totalWorkers - Number of Caliper workers
+ * @param {string} namespace - Chain and deployment the claims and journals belong to
+ * @returns {SSICoordinator} Coordinator, shared across the rounds of the worker process
+ */
+function getCoordinator(settings, workerIndex, totalWorkers, namespace) {
+  const key = `${path.resolve(settings.directory)}|${namespace}|${workerIndex}|${totalWorkers}`;
+  if (!COORDINATORS.has(key)) {
+    COORDINATORS.set(key, new SSICoordinator(settings, workerIndex, totalWorkers, namespace));
+  }
+  return COORDINATORS.get(key);
+}
+
+module.exports = {
+  CLAIM_KINDS,
+  resolveCoordinationSettings,
+  statusClaimKey,
+  ownsAccount,
+  getCoordinator
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+// Defaults for the "dryRun" round argument
+const DEFAULT_DRY_RUN_CONFIG = {
+  enabled: true,
+  samplesPerError: 5,
+  maxRequests: 1000 // simulated write requests per worker; 0 for no limit
+};
+
+// Base name of the combined report and its per-worker part directory
+const DRY_RUN_REPORT_NAME = 'ssi-dry-run';
+
+/**
+ * Resolve the "dryRun" round argument
+ * @param {boolean|Object} config - true, or { enabled, directory, samplesPerError, maxRequests }
+ * @returns {Object} Settings with defaults applied ({ enabled: false } when unset)
+ */
+function resolveDryRunSettings(config) {
+  if (config === undefined || config === null || config === false) {
+    return { ...DEFAULT_DRY_RUN_CONFIG, enabled: false };
+  }
+
+  const settings = { ...DEFAULT_DRY_RUN_CONFIG, ...(config === true ? {} : config) };
+  settings.enabled = settings.enabled !== false;
+  settings.samplesPerError = Number(settings.samplesPerError);
+
+  if (!Number.isInteger(settings.samplesPerError) || settings.samplesPerError < 0) {
+    throw new Error(`SSI workload error: dryRun.samplesPerError must be a non-negative integer, got ${config.samplesPerError}`);
+  }
+
+  settings.maxRequests = Number(settings.maxRequests);
+  if (!Number.isInteger(settings.maxRequests) || settings.maxRequests < 0) {
+    throw new Error(`SSI workload error: dryRun.maxRequests must be a non-negative integer, got ${config.maxRequests}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Convert generated arguments into JSON-safe values (bigints become decimal strings)
+ * @param {*} value - Argument value
+ * @returns {*} Plain value
+ * @private
+ */
+function toPlainValue(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  return value;
+}
+
+/**
+ * Outcomes of the requests a worker simulated with eth_call instead of sending them
+ * Reverts are grouped per operation and decoded error, with a few sample arguments each, so the
+ * selection logic of the state manager can be checked against a deployed chain before a real round.
+ * Simulations are not Caliper transactions, so the report also bounds how many a worker runs.
+ */
+class SSIDryRunReport {
+  /**
+   * Create an empty report
+   * @param {number} workerIndex - Worker index
+   * @param {number} roundIndex - Round index
+   * @param {Object} settings - Result of resolveDryRunSettings
+   */
+  constructor(workerIndex, roundIndex, settings) {
+    this.workerIndex = workerIndex;
+    this.roundIndex = roundIndex;
+    this.samplesPerError = settings.samplesPerError;
+    this.maxRequests = settings.maxRequests;
+    this.started = 0;
+
+    // "Contract.operation" -> { simulated, succeeded, reverted, errors: { name -> { count, samples } } }
+    this.operations = {};
+  }
+
+  /**
+   * Count a simulation before it starts
+   * @returns {boolean} False once maxRequests simulations were started
+   */
+  admit() {
+    if (this.maxRequests > 0 && this.started >= this.maxRequests) return false;
+    this.started++;
+    return true;
+  }
+
+  /**
+   * Record the final outcome of a simulated request
+   * @param {Object} request - Caliper connector request
+   * @param {string} sender - Address the call was made from
+   * @param {Object|null} failure - Failure from diagnoseFailure, or null if the call would succeed
+   */
+  record(request, sender, failure) {
+    const key = `${request.contract}.${request.verb}`;
+    const entry = this.operations[key] || (this.operations[key] = { simulated: 0, succeeded: 0, reverted: 0, errors: {} });
+
+    entry.simulated++;
+    if (!failure) {
+      entry.succeeded++;
+      return;
+    }
+
+    entry.reverted++;
+    const error = entry.errors[failure.name] || (entry.errors[failure.name] = { count: 0, samples: [] });
+    error.count++;
+    if (error.samples.length < this.samplesPerError) {
+      error.samples.push({ sender, args: toPlainValue(request.args), reason: failure.reason });
+    }
+  }
+
+  /**
+   * Summarize the report
+   * @returns {Object} { worker, simulated, succeeded, reverted, byError, operations }
+   */
+  getReport() {
+    const summary = { worker: this.workerIndex, simulated: 0, succeeded: 0, reverted: 0, byError: {} };
+
+    for (const entry of Object.values(this.operations)) {
+      summary.simulated += entry.simulated;
+      summary.succeeded += entry.succeeded;
+      summary.reverted += entry.reverted;
+      for (const [name, error] of Object.entries(entry.errors)) {
+        summary.byError[name] = (summary.byError[name] || 0) + error.count;
+      }
+    }
+
+    return { ...summary, operations: this.operations };
+  }
+}
+
+module.exports = {
+  DRY_RUN_REPORT_NAME,
+  resolveDryRunSettings,
+  SSIDryRunReport
+};
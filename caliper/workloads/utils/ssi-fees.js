@@ -0,0 +1,116 @@
+'use strict';
+
+const { ethers } = require('ethers');
+const { sendRpc } = require('./ssi-rpc');
+
+// Supported fee modes
+const FEE_MODES = {
+  LEGACY: 'legacy',
+  EIP1559: 'eip1559'
+};
+
+// Defaults for the "eip1559" round argument
+const DEFAULT_EIP1559_CONFIG = {
+  maxFeePerGas: null,         // wei; derived from eth_feeHistory when unset
+  maxPriorityFeePerGas: null, // wei; derived from eth_feeHistory when unset
+  feeHistoryBlocks: 10,
+  rewardPercentile: 50,
+  baseFeeMultiplier: 2,
+  refreshMs: 15000,
+  receiptPollMs: 500,
+  receiptTimeoutMs: 120000
+};
+
+// Latest eth_feeHistory sample, shared by all workload modules of a worker process
+let feeHistorySample = null;
+
+/**
+ * Resolve the fee settings of a round from the "feeMode" and "eip1559" round arguments
+ * @param {Object} roundArguments - Round arguments
+ * @returns {Object} { mode, ...eip1559 settings } with fixed fees converted to wei (BigInt)
+ */
+function resolveFeeSettings(roundArguments = {}) {
+  const mode = roundArguments.feeMode || FEE_MODES.LEGACY;
+  if (!Object.values(FEE_MODES).includes(mode)) {
+    throw new Error(`SSI workload error: unsupported feeMode "${mode}" (expected ${Object.values(FEE_MODES).join(' or ')})`);
+  }
+
+  const settings = { ...DEFAULT_EIP1559_CONFIG, ...roundArguments.eip1559 };
+  const toWei = value => (value === undefined || value === null ? null : BigInt(value));
+
+  return {
+    ...settings,
+    mode,
+    maxFeePerGas: toWei(settings.maxFeePerGas),
+    maxPriorityFeePerGas: toWei(settings.maxPriorityFeePerGas)
+  };
+}
+
+/**
+ * Median of a list of BigInt values
+ * @param {Array<bigint>} values - Values
+ * @returns {bigint} Median (0 for an empty list)
+ * @private
+ */
+function median(values) {
+  if (values.length === 0) return 0n;
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Sample the next block's base fee and the typical priority fee with eth_feeHistory
+ * @param {Object} web3 - web3 instance from the Caliper Ethereum context
+ * @param {Object} feeSettings - Settings from resolveFeeSettings
+ * @returns {Promise<Object>} { baseFeePerGas, priorityFeePerGas } in wei
+ */
+async function fetchFeeHistory(web3, feeSettings) {
+  const history = await sendRpc(web3, 'eth_feeHistory', [
+    ethers.toQuantity(feeSettings.feeHistoryBlocks),
+    'latest',
+    [feeSettings.rewardPercentile]
+  ]);
+
+  if (!history || !Array.isArray(history.baseFeePerGas) || history.baseFeePerGas.length === 0) {
+    throw new Error('eth_feeHistory returned no base fees; EIP-1559 is not active on this chain');
+  }
+
+  // The last entry is the base fee of the block after the newest one returned
+  return {
+    baseFeePerGas: BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]),
+    priorityFeePerGas: median((history.reward || []).map(blockRewards => BigInt(blockRewards[0] || 0)))
+  };
+}
+
+/**
+ * Get maxFeePerGas and maxPriorityFeePerGas for the next transaction
+ * Configured fees are used as-is. Missing ones come from eth_feeHistory (refreshed every refreshMs):
+ * the priority fee is the median reward at rewardPercentile, and the max fee is the next base fee
+ * times baseFeeMultiplier plus the priority fee.
+ * @param {Object} web3 - web3 instance from the Caliper Ethereum context
+ * @param {Object} feeSettings - Settings from resolveFeeSettings
+ * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas } in wei
+ */
+async function getEip1559Fees(web3, feeSettings) {
+  if (feeSettings.maxFeePerGas !== null && feeSettings.maxPriorityFeePerGas !== null) {
+    return { maxFeePerGas: feeSettings.maxFeePerGas, maxPriorityFeePerGas: feeSettings.maxPriorityFeePerGas };
+  }
+
+  if (!feeHistorySample || Date.now() - feeHistorySample.sampledAt > feeSettings.refreshMs) {
+    feeHistorySample = { ...await fetchFeeHistory(web3, feeSettings), sampledAt: Date.now() };
+  }
+
+  const maxPriorityFeePerGas = feeSettings.maxPriorityFeePerGas ?? feeHistorySample.priorityFeePerGas;
+  const multiplierPercent = BigInt(Math.round(Number(feeSettings.baseFeeMultiplier) * 100));
+  const maxFeePerGas = feeSettings.maxFeePerGas ??
+    (feeHistorySample.baseFeePerGas * multiplierPercent) / 100n + maxPriorityFeePerGas;
+
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+module.exports = {
+  FEE_MODES,
+  resolveFeeSettings,
+  fetchFeeHistory,
+  getEip1559Fees
+};
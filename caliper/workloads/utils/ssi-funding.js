@@ -0,0 +1,131 @@
+'use strict';
+
+const { ethers } = require('ethers');
+
+// Defaults for the "funding" round argument (balances in ether)
+const DEFAULT_FUNDING_CONFIG = {
+  minBalance: '1',
+  targetBalance: null, // defaults to minBalance
+  maxIdentities: 50, // keyed identities per worker, on top of its sender pool
+  batchSize: 20,
+  transferGas: 21000,
+  watchIntervalMs: 30000 // balance re-check during the round, 0 disables
+};
+
+/**
+ * Resolve funding settings from the "funding" round argument
+ * @param {Object} fundingConfig - { enabled, minBalance, targetBalance, maxIdentities, batchSize, watchIntervalMs }
+ * @returns {Object} Settings with balances converted to wei (BigInt)
+ */
+function resolveFundingSettings(fundingConfig = {}) {
+  const settings = { ...DEFAULT_FUNDING_CONFIG, ...fundingConfig };
+  const minBalance = ethers.parseEther(String(settings.minBalance));
+  const targetBalance = settings.targetBalance ? ethers.parseEther(String(settings.targetBalance)) : minBalance;
+
+  if (targetBalance < minBalance) {
+    throw new Error('SSI workload error: funding.targetBalance must not be lower than funding.minBalance');
+  }
+
+  const maxIdentities = Number(settings.maxIdentities);
+  if (!Number.isInteger(maxIdentities) || maxIdentities < 0) {
+    throw new Error(`SSI workload error: funding.maxIdentities must be a non-negative integer, got ${settings.maxIdentities}`);
+  }
+
+  const watchIntervalMs = Number(settings.watchIntervalMs);
+  if (!Number.isInteger(watchIntervalMs) || watchIntervalMs < 0) {
+    throw new Error(`SSI workload error: funding.watchIntervalMs must be a non-negative integer, got ${settings.watchIntervalMs}`);
+  }
+
+  return {
+    minBalance,
+    targetBalance,
+    maxIdentities,
+    batchSize: Math.max(1, Number(settings.batchSize)),
+    transferGas: Number(settings.transferGas),
+    watchIntervalMs
+  };
+}
+
+/**
+ * Decide which accounts need a top-up
+ * Accounts below minBalance receive the difference to targetBalance; others are left alone
+ * @param {Array<string>} addresses - Checked accounts
+ * @param {Array<bigint|string|number>} balances - Balance in wei per account, in the same order
+ * @param {Object} settings - Settings from resolveFundingSettings
+ * @returns {Array<Object>} { to, value } per transfer with value in wei (BigInt)
+ */
+function planTopUps(addresses, balances, settings) {
+  const transfers = [];
+  addresses.forEach((address, index) => {
+    const balance = BigInt(balances[index]);
+    if (balance < settings.minBalance) {
+      transfers.push({ to: address, value: settings.targetBalance - balance });
+    }
+  });
+  return transfers;
+}
+
+/**
+ * Top up accounts whose balance is below the minimum, sending transfers from the funder in batches
+ * Funder nonces come from the worker's nonce manager, which hands out the connector's own counter
+ * (context.nonces) when it keeps one, so benchmark transactions sent from the same account during
+ * the round never collide with the transfers. A rejected transfer leaves a gap in that counter, so it
+ * is resynchronized with eth_getTransactionCount(pending) after a failed batch.
+ * @param {Object} connectorContext - Caliper Ethereum context (web3, fromAddress, gasPrice, chainId)
+ * @param {Array<string>} addresses - Accounts to check
+ * @param {Object} settings - Settings from resolveFundingSettings
+ * @param {SSINonceManager} nonceManager - Nonce manager of the worker
+ * @returns {Promise<Object>} { checked, funded, failed, transferred, unfunded } with transferred in wei
+ *   and unfunded listing the addresses whose transfer failed
+ */
+async function topUpAccounts(connectorContext, addresses, settings, nonceManager) {
+  const { web3, fromAddress: funder } = connectorContext;
+  const summary = { checked: 0, funded: 0, failed: 0, transferred: 0n, unfunded: [] };
+
+  for (let i = 0; i < addresses.length; i += settings.batchSize) {
+    const batch = addresses.slice(i, i + settings.batchSize);
+    const balances = await Promise.all(batch.map(address => web3.eth.getBalance(address)));
+    summary.checked += batch.length;
+
+    const transfers = planTopUps(batch, balances, settings);
+    if (transfers.length === 0) continue;
+
+    // Nonces are reserved in order before the first await, so the transfers of a batch go out in parallel
+    const results = await Promise.allSettled(transfers.map(async transfer => {
+      const nonce = await nonceManager.reserve(funder);
+
+      return web3.eth.sendTransaction({
+        from: funder,
+        to: transfer.to,
+        value: transfer.value.toString(),
+        gas: settings.transferGas,
+        gasPrice: connectorContext.gasPrice,
+        chainId: connectorContext.chainId,
+        nonce
+      });
+    }));
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        summary.funded++;
+        summary.transferred += transfers[index].value;
+      } else {
+        summary.failed++;
+        summary.unfunded.push(transfers[index].to);
+        console.warn(`⚠️ Funding transfer to ${transfers[index].to.substring(0, 10)}... failed: ${result.reason.message}`);
+      }
+    });
+
+    if (results.some(result => result.status === 'rejected')) {
+      await nonceManager.resync(funder);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  resolveFundingSettings,
+  planTopUps,
+  topUpAccounts
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { sendRpc } = require('./ssi-rpc');
+const { getContractInterface, extractRevertData, decodeRevertData } = require('./ssi-contracts');
+
+// Defaults for the "gasCalibration" round argument
+const DEFAULT_CALIBRATION_CONFIG = {
+  headroom: 1.3,
+  directory: 'gas-calibration'
+};
+
+// Calibrated tables per round and deployment, so each worker process estimates once per round
+const CALIBRATION_CACHE = new Map();
+
+/**
+ * Estimate one probe with eth_estimateGas
+ * @param {Object} web3 - web3 instance from the Caliper Ethereum context
+ * @param {Object} probe - { contract, operation, address, from, args }
+ * @returns {Promise<Object>} { estimated } or { error } with the decoded revert name when available
+ * @private
+ */
+async function estimateProbe(web3, probe) {
+  try {
+    const estimated = await sendRpc(web3, 'eth_estimateGas', [{
+      from: probe.from,
+      to: probe.address,
+      data: getContractInterface(probe.contract).encodeFunctionData(probe.operation, probe.args)
+    }]);
+    return { estimated: Number(estimated) };
+  } catch (error) {
+    const decoded = decodeRevertData(extractRevertData(error), probe.contract);
+    return { error: decoded ? decoded.name : error.message };
+  }
+}
+
+/**
+ * Calibrate gas limits by estimating representative calls of each SSI operation
+ * Operations whose probe is missing or reverts keep their configured limit
+ * @param {Object} web3 - web3 instance from the Caliper Ethereum context
+ * @param {Array<Object>} probes - { contract, operation, address, from, args } per operation
+ * @param {Object} configuredLimits - Contract name to { operation: configured gas limit }
+ * @param {Object} options - { cacheKey, headroom }
+ * @returns {Promise<Object>} Table of contract name to { operation: { limit, estimated, configured, source, error } }
+ */
+async function calibrateGasLimits(web3, probes, configuredLimits, options = {}) {
+  if (options.cacheKey && CALIBRATION_CACHE.has(options.cacheKey)) {
+    return CALIBRATION_CACHE.get(options.cacheKey);
+  }
+
+  const headroom = Number(options.headroom || DEFAULT_CALIBRATION_CONFIG.headroom);
+  const table = {};
+
+  for (const [contractName, operations] of Object.entries(configuredLimits)) {
+    table[contractName] = {};
+    for (const [operation, configured] of Object.entries(operations)) {
+      table[contractName][operation] = { limit: configured, estimated: null, configured, source: 'configured', error: 'no probe' };
+    }
+  }
+
+  // Probes run one at a time; calibration happens once per round, before any load is sent
+  for (const probe of probes) {
+    const entry = table[probe.contract][probe.operation];
+    const { estimated, error } = await estimateProbe(web3, probe);
+
+    if (error) {
+      entry.error = error;
+      continue;
+    }
+
+    Object.assign(entry, {
+      limit: Math.ceil(estimated * headroom),
+      estimated,
+      source: 'estimate',
+      error: null
+    });
+  }
+
+  if (options.cacheKey) {
+    CALIBRATION_CACHE.set(options.cacheKey, table);
+  }
+  return table;
+}
+
+/**
+ * Write a calibrated table to <directory>/gas-calibration-r<round>-w<worker>.json for review
+ * @param {Object} table - Result of calibrateGasLimits
+ * @param {Object} config - gasCalibration round argument ({ directory, headroom })
+ * @param {number} workerIndex - Worker index
+ * @param {number} roundIndex - Round index
+ * @returns {string} Path of the written file
+ */
+function writeCalibrationTable(table, config, workerIndex, roundIndex) {
+  const directory = path.resolve(config.directory || DEFAULT_CALIBRATION_CONFIG.directory);
+  const filePath = path.join(directory, `gas-calibration-r${roundIndex}-w${workerIndex}.json`);
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({
+    roundIndex,
+    workerIndex,
+    headroom: Number(config.headroom || DEFAULT_CALIBRATION_CONFIG.headroom),
+    createdAt: new Date().toISOString(),
+    limits: table
+  }, null, 2));
+
+  return filePath;
+}
+
+module.exports = {
+  calibrateGasLimits,
+  writeCalibrationTable
+};
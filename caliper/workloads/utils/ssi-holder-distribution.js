@@ -0,0 +1,161 @@
+'use strict';
+
+// Supported "holderDistribution" types
+const HOLDER_DISTRIBUTIONS = {
+  UNIQUE: 'unique', // uniform over holders not used yet in the round (credential issuance default)
+  UNIFORM: 'uniform',
+  ZIPFIAN: 'zipfian',
+  HOT_SET: 'hotset',
+  ROUND_ROBIN: 'roundrobin'
+};
+
+// Defaults for the "holderDistribution" round argument
+const DEFAULT_HOLDER_DISTRIBUTION = {
+  type: HOLDER_DISTRIBUTIONS.UNIQUE,
+  skew: 1.0,
+  hotSetSize: 5,
+  hotSetProbability: 0.8
+};
+
+/**
+ * Resolve the "holderDistribution" round argument
+ * @param {Object|string|undefined} config - { type, skew, hotSetSize, hotSetProbability } or just the type
+ * @returns {Object} Settings with defaults applied
+ */
+function resolveHolderDistribution(config = {}) {
+  const settings = { ...DEFAULT_HOLDER_DISTRIBUTION, ...(typeof config === 'string' ? { type: config } : config) };
+  settings.type = String(settings.type).toLowerCase();
+  settings.skew = Number(settings.skew);
+  settings.hotSetSize = Number(settings.hotSetSize);
+  settings.hotSetProbability = Number(settings.hotSetProbability);
+
+  if (!Object.values(HOLDER_DISTRIBUTIONS).includes(settings.type)) {
+    throw new Error(`SSI workload error: unknown holderDistribution type "${settings.type}" (expected ${Object.values(HOLDER_DISTRIBUTIONS).join(', ')})`);
+  }
+  if (!(settings.skew > 0)) {
+    throw new Error(`SSI workload error: holderDistribution.skew must be positive, got ${settings.skew}`);
+  }
+  if (!Number.isInteger(settings.hotSetSize) || settings.hotSetSize < 1) {
+    throw new Error(`SSI workload error: holderDistribution.hotSetSize must be a positive integer, got ${settings.hotSetSize}`);
+  }
+  if (!(settings.hotSetProbability >= 0 && settings.hotSetProbability <= 1)) {
+    throw new Error(`SSI workload error: holderDistribution.hotSetProbability must be between 0 and 1, got ${settings.hotSetProbability}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Picks holders (or DID owners) from a candidate list according to a distribution
+ * Candidates are ranked by their position in the list, so callers pass them in a stable order;
+ * rank 0 is the most popular holder under zipfian and the first of the hot set.
+ */
+class HolderSelector {
+  /**
+   * Create a holder selector
+   * @param {Object} settings - Result of resolveHolderDistribution
+   * @param {Object} random - Random source with next() and int(max)
+   */
+  constructor(settings, random) {
+    this.settings = settings;
+    this.type = settings.type;
+    this.random = random;
+    this.cursor = 0;
+
+    // Cumulative zipfian weights per candidate count
+    this.zipfCdfs = new Map();
+
+    // Lowercased address -> number of picks
+    this.picks = new Map();
+  }
+
+  /**
+   * Pick one candidate
+   * @param {Array<string>} candidates - Candidate addresses in a stable order
+   * @returns {string} Selected address
+   */
+  select(candidates) {
+    let index;
+    switch (this.type) {
+      case HOLDER_DISTRIBUTIONS.ZIPFIAN:
+        index = this._zipfianIndex(candidates.length);
+        break;
+      case HOLDER_DISTRIBUTIONS.HOT_SET:
+        index = this._hotSetIndex(candidates.length);
+        break;
+      case HOLDER_DISTRIBUTIONS.ROUND_ROBIN:
+        index = this.cursor++ % candidates.length;
+        break;
+      default:
+        index = this.random.int(candidates.length);
+    }
+
+    const selected = candidates[index];
+    const key = selected.toLowerCase();
+    this.picks.set(key, (this.picks.get(key) || 0) + 1);
+    return selected;
+  }
+
+  /**
+   * Draw a rank with probability proportional to 1 / (rank + 1)^skew
+   * @param {number} count - Number of candidates
+   * @returns {number} Candidate index
+   * @private
+   */
+  _zipfianIndex(count) {
+    let cdf = this.zipfCdfs.get(count);
+    if (!cdf) {
+      cdf = [];
+      let total = 0;
+      for (let rank = 0; rank < count; rank++) {
+        total += 1 / Math.pow(rank + 1, this.settings.skew);
+        cdf.push(total);
+      }
+      this.zipfCdfs.set(count, cdf);
+    }
+
+    const target = this.random.next() * cdf[count - 1];
+    let low = 0;
+    let high = count - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (cdf[middle] > target) high = middle; else low = middle + 1;
+    }
+    return low;
+  }
+
+  /**
+   * Pick from the first hotSetSize candidates with hotSetProbability, otherwise from the rest
+   * @param {number} count - Number of candidates
+   * @returns {number} Candidate index
+   * @private
+   */
+  _hotSetIndex(count) {
+    const hotSetSize = Math.min(this.settings.hotSetSize, count);
+    if (hotSetSize === count || this.random.next() < this.settings.hotSetProbability) {
+      return this.random.int(hotSetSize);
+    }
+    return hotSetSize + this.random.int(count - hotSetSize);
+  }
+
+  /**
+   * Summarize how picks were spread across candidates
+   * @returns {Object} { type, picks, distinct, topShare } where topShare is the share of the most picked candidate
+   */
+  getStatistics() {
+    const counts = [...this.picks.values()];
+    const picks = counts.reduce((sum, count) => sum + count, 0);
+    return {
+      type: this.type,
+      picks,
+      distinct: counts.length,
+      topShare: picks > 0 ? Number((Math.max(...counts) / picks).toFixed(3)) : 0
+    };
+  }
+}
+
+module.exports = {
+  HOLDER_DISTRIBUTIONS,
+  resolveHolderDistribution,
+  HolderSelector
+};
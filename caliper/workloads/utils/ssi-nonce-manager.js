@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Per-worker nonce manager for the accounts a worker sends from
+ * Nonces are assigned optimistically from a local counter, seeded from eth_getTransactionCount(pending).
+ * The connector account keeps using the connector's own counter (context.nonces) so transactions sent
+ * by the connector, the funding transfers and this manager never reuse a nonce.
+ */
+class SSINonceManager {
+  /**
+   * Create a nonce manager
+   * @param {Object} connectorContext - Caliper Ethereum context (web3, fromAddress, nonces)
+   */
+  constructor(connectorContext) {
+    this.connectorContext = connectorContext;
+
+    // Lowercased address -> Promise of the next nonce to hand out
+    this.nextNonces = new Map();
+
+    this.stats = { reserved: 0, resyncs: 0 };
+  }
+
+  /**
+   * Check whether the connector keeps the nonce counter of an address
+   * @param {string} address - Sender address
+   * @returns {boolean} True for the connector account when the connector tracks its nonces
+   * @private
+   */
+  _isConnectorTracked(address) {
+    const { fromAddress, nonces } = this.connectorContext;
+    return Boolean(nonces && fromAddress && fromAddress.toLowerCase() === address.toLowerCase() && nonces[fromAddress] !== undefined);
+  }
+
+  /**
+   * Read the pending transaction count of an address from the node
+   * @param {string} address - Sender address
+   * @returns {Promise<number>} Next nonce according to the node
+   * @private
+   */
+  async _fetchPendingNonce(address) {
+    return Number(await this.connectorContext.web3.eth.getTransactionCount(address, 'pending'));
+  }
+
+  /**
+   * Reserve the next nonce of a sender
+   * Reservations chain on each other, so concurrent requests of one sender get consecutive nonces
+   * @param {string} address - Sender address
+   * @returns {Promise<number>} Nonce to use
+   */
+  reserve(address) {
+    this.stats.reserved++;
+
+    if (this._isConnectorTracked(address)) {
+      const { fromAddress, nonces } = this.connectorContext;
+      const nonce = nonces[fromAddress];
+      nonces[fromAddress] = nonce + 1;
+      return Promise.resolve(nonce);
+    }
+
+    const key = address.toLowerCase();
+    const nonce = this.nextNonces.get(key) || this._fetchPendingNonce(address);
+    const nextNonce = nonce.then(value => value + 1);
+    nextNonce.catch(() => {}); // the failure reaches the caller through nonce
+    this.nextNonces.set(key, nextNonce);
+    nonce.catch(() => {
+      if (this.nextNonces.get(key) === nextNonce) this.nextNonces.delete(key);
+    });
+
+    return nonce;
+  }
+
+  /**
+   * Recover from a nonce gap or a rejected nonce by resynchronizing with eth_getTransactionCount(pending)
+   * The next transaction of the sender then fills the gap, releasing any transactions queued behind it
+   * @param {string} address - Sender address
+   * @returns {Promise<number|null>} Nonce the node reported, or null if it could not be read
+   */
+  async resync(address) {
+    this.stats.resyncs++;
+
+    const key = address.toLowerCase();
+    try {
+      const pendingNonce = this._fetchPendingNonce(address);
+      if (this._isConnectorTracked(address)) {
+        const value = await pendingNonce;
+        this.connectorContext.nonces[this.connectorContext.fromAddress] = value;
+        return value;
+      }
+
+      this.nextNonces.set(key, pendingNonce);
+      return await pendingNonce;
+    } catch (error) {
+      this.nextNonces.delete(key);
+      console.warn(`⚠️ Could not resync the nonce of ${address.substring(0, 10)}...: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Reservation and resync counts
+   * @returns {Object} { reserved, resyncs, senders }
+   */
+  getStatistics() {
+    return { ...this.stats, senders: this.nextNonces.size };
+  }
+}
+
+module.exports = SSINonceManager;
@@ -0,0 +1,142 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { CONTRACT_ARTIFACT_DIRECTORY } = require('./ssi-contracts');
+
+// Mutabilities of functions that are called (eth_call) instead of sent as transactions
+const READ_ONLY_MUTABILITIES = new Set(['view', 'pure']);
+
+// Registries per artifact directory, built once per worker process
+const REGISTRY_CACHE = new Map();
+
+/**
+ * Convert a contract or function name into its constant key, e.g. createDidSigned -> CREATE_DID_SIGNED
+ * @param {string} name - camelCase or PascalCase name
+ * @returns {string} UPPER_SNAKE_CASE key
+ */
+function toConstantKey(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Operations of the SSI contracts, built from the compiled artifacts in benchmarks/contracts
+ * A new contract function becomes available to workloads once its artifact is rebuilt; nothing in
+ * the base class lists functions, their argument order or whether they are read-only.
+ */
+class SSIOperationRegistry {
+  /**
+   * Build the registry from every *.json artifact in a directory
+   * @param {string} directory - Artifact directory
+   */
+  constructor(directory = CONTRACT_ARTIFACT_DIRECTORY) {
+    // Constant key -> contract name, e.g. DID_REGISTRY -> DidRegistry
+    this.contracts = {};
+
+    // Constant key -> function name across all contracts, e.g. CREATE_DID -> createDid
+    this.operations = {};
+
+    // "Contract.function" -> { contract, name, inputs, readOnly }
+    this.functions = new Map();
+
+    const contractNames = fs.readdirSync(directory)
+      .filter(fileName => fileName.endsWith('.json'))
+      .map(fileName => path.basename(fileName, '.json'))
+      .sort();
+
+    for (const contractName of contractNames) {
+      this.contracts[toConstantKey(contractName)] = contractName;
+
+      // Read from the registry's own directory, so artifacts of another build are not mixed in
+      const { abi } = JSON.parse(fs.readFileSync(path.join(directory, `${contractName}.json`), 'utf8'));
+      for (const fragment of abi) {
+        if (fragment.type !== 'function') continue;
+
+        const key = `${contractName}.${fragment.name}`;
+        // Overloads are not used by the SSI contracts; the first declaration wins
+        if (this.functions.has(key)) continue;
+
+        this.functions.set(key, {
+          contract: contractName,
+          name: fragment.name,
+          inputs: fragment.inputs.map((input, index) => input.name || `arg${index}`),
+          readOnly: READ_ONLY_MUTABILITIES.has(fragment.stateMutability) || fragment.constant === true
+        });
+        this.operations[toConstantKey(fragment.name)] = fragment.name;
+      }
+    }
+  }
+
+  /**
+   * Look up a contract function
+   * @param {string} contractName - Contract name
+   * @param {string} operation - Function name
+   * @returns {Object} { contract, name, inputs, readOnly }
+   */
+  getOperation(contractName, operation) {
+    const definition = this.functions.get(`${contractName}.${operation}`);
+    if (!definition) {
+      throw new Error(`SSI workload error: ${contractName}.${operation} is not a function of the ${contractName} ABI`);
+    }
+    return definition;
+  }
+
+  /**
+   * Check whether a contract function is read-only (view or pure)
+   * @param {string} contractName - Contract name
+   * @param {string} operation - Function name
+   * @returns {boolean} True if the function is called rather than sent
+   */
+  isReadOnly(contractName, operation) {
+    return this.getOperation(contractName, operation).readOnly;
+  }
+
+  /**
+   * Put named arguments into the order of the ABI inputs
+   * Arrays are taken as already ordered; objects must name every input and nothing else
+   * @param {string} contractName - Contract name
+   * @param {string} operation - Function name
+   * @param {Object|Array} args - Arguments by ABI input name, or in ABI order
+   * @returns {Array} Ordered arguments
+   */
+  orderArguments(contractName, operation, args = {}) {
+    const { inputs } = this.getOperation(contractName, operation);
+    const signature = `${contractName}.${operation}(${inputs.join(', ')})`;
+
+    if (Array.isArray(args)) {
+      if (args.length !== inputs.length) {
+        throw new Error(`SSI workload error: ${signature} takes ${inputs.length} arguments, got ${args.length}`);
+      }
+      return args;
+    }
+
+    const unknown = Object.keys(args).filter(name => !inputs.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`SSI workload error: ${signature} has no argument ${unknown.join(', ')}`);
+    }
+
+    return inputs.map(name => {
+      if (args[name] === undefined) {
+        throw new Error(`SSI workload error: ${signature} is missing argument ${name}`);
+      }
+      return args[name];
+    });
+  }
+}
+
+/**
+ * Get the operation registry of an artifact directory
+ * @param {string} directory - Artifact directory (default: benchmarks/contracts)
+ * @returns {SSIOperationRegistry} Registry, shared within the worker process
+ */
+function getOperationRegistry(directory = CONTRACT_ARTIFACT_DIRECTORY) {
+  if (!REGISTRY_CACHE.has(directory)) {
+    REGISTRY_CACHE.set(directory, new SSIOperationRegistry(directory));
+  }
+  return REGISTRY_CACHE.get(directory);
+}
+
+module.exports = {
+  SSIOperationRegistry,
+  getOperationRegistry
+};
@@ -1,39 +1,87 @@
 'use strict';
 
-const { WorkloadModuleBase } = require('@hyperledger/caliper-core');
-
-// SSI Contract names - must match network configuration
-const SSI_CONTRACTS = {
-  ROLE_CONTROL: 'RoleControl',
-  DID_REGISTRY: 'DidRegistry',
-  CREDENTIAL_REGISTRY: 'CredentialRegistry'
-};
+const { WorkloadModuleBase, TxStatus, Constants } = require('@hyperledger/caliper-core');
+const { ethers } = require('ethers');
+const { buildSignedPayloadHash, signPayloadHash } = require('./ssi-signer');
+const { replayContractEvents, queryKnownEntities } = require('./ssi-reconciler');
+const { resolveFundingSettings, topUpAccounts } = require('./ssi-funding');
+const SSIReceiptCollector = require('./ssi-receipts');
+const SSINonceManager = require('./ssi-nonce-manager');
+const { getContractInterface, extractRevertData, decodeRevertData, formatRevert } = require('./ssi-contracts');
+const { sendRpc, waitForReceipt } = require('./ssi-rpc');
+const { FEE_MODES, resolveFeeSettings, getEip1559Fees } = require('./ssi-fees');
+const { calibrateGasLimits, writeCalibrationTable } = require('./ssi-gas-calibration');
+const { resolvePopulationSpec } = require('./ssi-population');
+const { resolveHolderDistribution } = require('./ssi-holder-distribution');
+const { CLAIM_KINDS, resolveCoordinationSettings, statusClaimKey, ownsAccount, getCoordinator } = require('./ssi-coordination');
+const { getOperationRegistry } = require('./ssi-operation-registry');
+const { getStatisticsDirectory, writeRoundStatistics } = require('./ssi-statistics');
+const { DRY_RUN_REPORT_NAME, resolveDryRunSettings, SSIDryRunReport } = require('./ssi-dry-run');
+
+// Contracts and functions from the ABIs in benchmarks/contracts; contract names must match the network configuration
+const OPERATION_REGISTRY = getOperationRegistry();
+
+// Constant keys of the registry, e.g. SSI_CONTRACTS.DID_REGISTRY and SSI_OPERATIONS.CREATE_DID_SIGNED
+const SSI_CONTRACTS = OPERATION_REGISTRY.contracts;
+const SSI_OPERATIONS = OPERATION_REGISTRY.operations;
+
+// Events every Caliper connector emits for the round statistics; requests sent without
+// sutAdapter.sendRequests report themselves through these
+const CONNECTOR_EVENTS = Constants.Events.Connector;
+
+// Gas limit of write operations without a limit in gasConfig or the network configuration
+const DEFAULT_GAS_LIMIT = 250000;
+
+// Operations whose contract checks or records msg.sender as the identity or credential issuer
+// These are sent from the identity's own key when the state manager knows it
+const IDENTITY_SIGNED_OPERATIONS = new Set([
+  SSI_OPERATIONS.UPDATE_DID,
+  SSI_OPERATIONS.DEACTIVATE_DID,
+  SSI_OPERATIONS.ISSUE_CREDENTIAL,
+  SSI_OPERATIONS.UPDATE_CREDENTIAL_STATUS
+]);
 
-// SSI Operation types
-const SSI_OPERATIONS = {
-  // Role operations
-  ASSIGN_ROLE: 'assignRole',
-  REVOKE_ROLE: 'revokeRole',
-  GET_ROLE: 'getRole',
-
-  // DID operations  
-  CREATE_DID: 'createDid',
-  UPDATE_DID: 'updateDid',
-  RESOLVE_DID: 'resolveDid',
-
-  // Credential operations
-  ISSUE_CREDENTIAL: 'issueCredential',
-  UPDATE_CREDENTIAL_STATUS: 'updateCredentialStatus',
-  RESOLVE_CREDENTIAL: 'resolveCredential'
+// Write operations per contract whose gas limits are calibrated with eth_estimateGas
+const CALIBRATED_OPERATIONS = {
+  [SSI_CONTRACTS.ROLE_CONTROL]: [SSI_OPERATIONS.ASSIGN_ROLE, SSI_OPERATIONS.REVOKE_ROLE],
+  [SSI_CONTRACTS.DID_REGISTRY]: [
+    SSI_OPERATIONS.CREATE_DID,
+    SSI_OPERATIONS.UPDATE_DID,
+    SSI_OPERATIONS.DEACTIVATE_DID,
+    SSI_OPERATIONS.CREATE_DID_SIGNED,
+    SSI_OPERATIONS.UPDATE_DID_SIGNED,
+    SSI_OPERATIONS.DEACTIVATE_DID_SIGNED
+  ],
+  [SSI_CONTRACTS.CREDENTIAL_REGISTRY]: [
+    SSI_OPERATIONS.ISSUE_CREDENTIAL,
+    SSI_OPERATIONS.ISSUE_CREDENTIAL_SIGNED,
+    SSI_OPERATIONS.UPDATE_CREDENTIAL_STATUS
+  ]
 };
 
-// Read-only operations (don't require gas/transaction)
-const READ_ONLY_OPERATIONS = new Set([
-  SSI_OPERATIONS.GET_ROLE,
-  SSI_OPERATIONS.RESOLVE_DID,
-  SSI_OPERATIONS.RESOLVE_CREDENTIAL
+// Operations any TRUSTEE may send, so they can rotate through the worker's sender pool
+// (issueCredential is excluded: the contract records msg.sender as the credential issuer)
+const POOLED_OPERATIONS = new Set([
+  SSI_OPERATIONS.ASSIGN_ROLE,
+  SSI_OPERATIONS.REVOKE_ROLE,
+  SSI_OPERATIONS.CREATE_DID,
+  SSI_OPERATIONS.CREATE_DID_SIGNED,
+  SSI_OPERATIONS.UPDATE_DID_SIGNED,
+  SSI_OPERATIONS.DEACTIVATE_DID_SIGNED,
+  SSI_OPERATIONS.ISSUE_CREDENTIAL_SIGNED
 ]);
 
+// Failures that leave a sender's local nonce counter out of step with the node
+const NONCE_FAILURE_PATTERN = /nonce too (low|high)|OldNonce|NonceGap|was not mined within/i;
+
+// Transient JSON-RPC and transport failures that may succeed when sent again
+const TRANSIENT_FAILURE_PATTERNS = [
+  /nonce too low|OldNonce/i,
+  /replacement transaction underpriced|ReplacementNotAllowed/i,
+  /ECONNRESET|ECONNREFUSED|connection reset|socket hang up|CONNECTION ERROR|connection not open|Invalid JSON RPC response/i,
+  /txpool is full|transaction pool is full|TxPoolFull/i
+];
+
 // SSI Role Constants
 const SSI_ROLES = {
   NONE: 0,
@@ -76,7 +124,134 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
     // Store reference as stateManager for consistency across methods
     this.stateManager = this.ssiState;
 
+    // Align the local view with the roles, DIDs and credentials actually on chain
+    await this.reconcileSSIState();
+
+    // Share claims and confirmed results with the other workers of the round
+    await this.setupCoordination();
+
+    // Replace hand-tuned gas limits with estimates against the deployed contracts
+    await this.calibrateGasLimits();
+
+    // Optimistic nonces for every account this worker sends from, and the pool it rotates through
+    this.nonceManager = this.sutAdapter.context ? new SSINonceManager(this.sutAdapter.context) : null;
+    this.senderPool = this.buildSenderPool();
+
+    // Final failures per operation and decoded error name, reported at the end of the round
+    this.failureCounts = {};
+
+    // Attempts and outcomes of the retry policy; retried attempts are kept apart from final outcomes
+    this.retryStats = {
+      requests: 0,
+      retriedRequests: 0,
+      retriedAttempts: 0,
+      retriedByError: {},
+      succeededAfterRetry: 0,
+      finalSuccess: 0,
+      finalFailure: 0
+    };
+
+    // Outcomes of simulated requests when the round is a dry run
+    this.dryRunReport = this.ssiConfig.dryRun.enabled
+      ? new SSIDryRunReport(this.workerIndex, this.roundIndex, this.ssiConfig.dryRun)
+      : null;
+
+    // Record hash, gas and inclusion data of every request for offline analysis (a dry run mines nothing)
+    this.receiptCollector = this.ssiConfig.receipts.enabled !== true || this.dryRunReport
+      ? null
+      : new SSIReceiptCollector(this.workerIndex, this.roundIndex, this.ssiConfig.receipts, this.sutContext && this.sutContext.web3);
+
+    // Give the pool and the identities that sign their own transactions enough ETH for gas,
+    // and keep them topped up during long rounds
+    await this.fundSenderAccounts();
+    this.startBalanceWatch();
+
     console.log(`🔗 Worker ${this.workerIndex} initialized with account: ${this.fromAddress}`);
+    if (this.dryRunReport) {
+      console.log(`🧪 Worker ${this.workerIndex} round ${this.roundIndex} is a dry run: write requests are simulated with eth_call`);
+    }
+  }
+
+  /**
+   * Clean up the SSI workload module
+   * Persists the state manager snapshot so the next run starts from the known on-chain state
+   */
+  async cleanupWorkloadModule() {
+    await this.stopBalanceWatch();
+    this.stopCoordinationSync();
+    this.logFailureSummary();
+    this.logRetrySummary();
+    this.logSenderPoolSummary();
+    this.logHolderDistributionSummary();
+    this.logCoordinationSummary();
+    this.exportStateStatistics();
+    this.exportDryRunReport();
+
+    if (this.receiptCollector) {
+      await this.receiptCollector.close();
+    }
+
+    // After a dry run the state manager holds entities that were never created on chain
+    if (!this.dryRunReport && this.ssiState && typeof this.ssiState.exportSnapshot === 'function') {
+      this.ssiState.exportSnapshot();
+    }
+  }
+
+  /**
+   * Add this worker's state statistics to the combined statistics file of the round
+   * Warns when argument selection took LAST RESORT paths, which quietly skew the benchmark
+   * @returns {string|null} Combined file path, or null if statistics are disabled or failed
+   * @protected
+   */
+  exportStateStatistics() {
+    const statisticsConfig = this.ssiConfig.stateStatistics;
+    if (statisticsConfig.enabled !== true || !this.ssiState || typeof this.ssiState.getStateStatistics !== 'function') return null;
+
+    const statistics = {
+      ...this.ssiState.getStateStatistics(),
+      workload: this.operationType,
+      failures: this.failureCounts,
+      savedAt: new Date().toISOString()
+    };
+
+    const { lastResortHolders, generatedDidIdentities, deployerDidSelfHeals, deployerIssuerFallbacks } = statistics.selection;
+    if (lastResortHolders + generatedDidIdentities + deployerDidSelfHeals + deployerIssuerFallbacks > 0) {
+      console.warn(`⚠️ Worker ${this.workerIndex} took LAST RESORT selection paths: ${JSON.stringify({ lastResortHolders, generatedDidIdentities, deployerDidSelfHeals, deployerIssuerFallbacks })}`);
+    }
+
+    try {
+      const filePath = writeRoundStatistics(getStatisticsDirectory(statisticsConfig), this.roundIndex, this.totalWorkers, statistics);
+      console.log(`📈 Worker ${this.workerIndex} state statistics added to ${filePath}`);
+      return filePath;
+    } catch (error) {
+      console.warn(`⚠️ Could not write state statistics for Worker ${this.workerIndex}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Add this worker's dry run outcomes to the combined dry run report of the round
+   * @returns {string|null} Combined file path, or null if the round is not a dry run or writing failed
+   * @protected
+   */
+  exportDryRunReport() {
+    if (!this.dryRunReport) return null;
+
+    const report = {
+      ...this.dryRunReport.getReport(),
+      workload: this.operationType,
+      savedAt: new Date().toISOString()
+    };
+    console.log(`🧪 Worker ${this.workerIndex} round ${this.roundIndex} dry run: ${report.reverted}/${report.simulated} requests would revert ${JSON.stringify(report.byError)}`);
+
+    try {
+      const filePath = writeRoundStatistics(getStatisticsDirectory(this.ssiConfig.dryRun), this.roundIndex, this.totalWorkers, report, DRY_RUN_REPORT_NAME);
+      console.log(`🧪 Worker ${this.workerIndex} dry run report added to ${filePath}`);
+      return filePath;
+    } catch (error) {
+      console.warn(`⚠️ Could not write the dry run report for Worker ${this.workerIndex}: ${error.message}`);
+      return null;
+    }
   }
 
   /**
@@ -118,6 +293,51 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
       nethermindEndpoint: this.roundArguments.nethermindEndpoint,
       contractAddresses: this.roundArguments.contractAddresses || {},
       gasConfig: this.roundArguments.gasConfig || {},
+      // Optional seeded targets for read-only rounds (identities and credential IDs known on-chain)
+      readTargets: this.roundArguments.readTargets || {},
+      // State snapshot persisted between runs ({ enabled: off unless true, directory, file })
+      stateSnapshot: this.roundArguments.stateSnapshot || {},
+      // On-chain reconciliation at init ({ enabled: off unless true, mode: 'events' | 'calls', fromBlock, blockRange, batchSize })
+      reconciliation: this.roundArguments.reconciliation || {},
+      // Send owner-only operations from the identity's own key instead of the worker account
+      identitySigning: this.roundArguments.identitySigning !== false,
+      // Top-ups of the sender pool and keyed identities from the connector account at init and during the round
+      // ({ enabled: off unless true, minBalance, targetBalance, maxIdentities, batchSize, watchIntervalMs })
+      funding: this.roundArguments.funding || {},
+      // Per-transaction receipt logs ({ enabled: off unless true, directory, format: 'jsonl' | 'csv' | 'both', flushEvery })
+      receipts: this.roundArguments.receipts || {},
+      // Replay failed requests as eth_call to recover and decode their custom-error revert data
+      decodeReverts: this.roundArguments.decodeReverts !== false,
+      // Retries of transient failures with exponential backoff (maxRetries 0 disables retries)
+      retryPolicy: {
+        maxRetries: Number(this.roundArguments.maxRetries || 0),
+        retryDelay: Number(this.roundArguments.retryDelay || 1000),
+        retryBackoffFactor: Number(this.roundArguments.retryBackoffFactor || 2),
+        maxRetryDelay: Number(this.roundArguments.maxRetryDelay || 30000)
+      },
+      // Senders per worker: the connector account plus keyed TRUSTEE accounts ({ size })
+      senderPool: this.roundArguments.senderPool || {},
+      // Gas limits estimated per operation at init ({ enabled: off unless true, headroom, directory })
+      gasCalibration: this.roundArguments.gasCalibration || {},
+      // Shape of the SSI ecosystem: role counts or ratios, DIDs and credentials per holder
+      // (replaces the index-based roles of the network config accounts; null when unset)
+      population: resolvePopulationSpec(this.roundArguments.population),
+      // Seed of the per-worker PRNG streams behind generated arguments; unset keeps runs non-deterministic
+      seed: this.roundArguments.seed,
+      // Holder / DID owner selection for credential issuance and DID updates
+      // ({ type: 'unique' | 'uniform' | 'zipfian' | 'hotset' | 'roundrobin', skew, hotSetSize, hotSetProbability })
+      holderDistribution: resolveHolderDistribution(this.roundArguments.holderDistribution),
+      // Claims and confirmed results shared between workers through a directory
+      // ({ enabled: default on with several workers, directory, syncIntervalMs })
+      coordination: resolveCoordinationSettings(this.roundArguments.coordination, this.totalWorkers),
+      // Per-round state statistics of all workers, combined next to the Caliper report ({ enabled: off unless true, directory })
+      stateStatistics: this.roundArguments.stateStatistics || {},
+      // Simulate write requests with eth_call and report the reverts instead of sending transactions
+      // (true or { enabled, directory, samplesPerError })
+      dryRun: resolveDryRunSettings(this.roundArguments.dryRun),
+      // Transaction fees: feeMode 'legacy' uses gasPrice, 'eip1559' sends type-2 transactions
+      // with fees from the eip1559 round argument or eth_feeHistory
+      feeSettings: resolveFeeSettings(this.roundArguments),
       // Additional Caliper Ethereum specific configurations
       gasPrice: this.roundArguments.gasPrice || 2000000000
     };
@@ -130,9 +350,6 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
    * @protected
    */
   async setupAccountManagement() {
-    // Initialize nonce tracker
-    this.nonceTracker = {};
-
     // Try to use available accounts from network config or adapter
     const networkAccounts = this.getNetworkAccounts();
 
@@ -153,9 +370,6 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
 
       console.log(`👤 Worker ${this.workerIndex} using default account: ${this.fromAddress}`);
     }
-
-    // Initialize nonce tracker for this account
-    this.nonceTracker[this.fromAddress] = 0;
   }
 
   /**
@@ -220,13 +434,14 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
    * Leverages @hyperledger/caliper-ethereum for proper transaction handling
    * @param {string} contractName - Contract name matching network config
    * @param {string} operation - Contract function to call
-   * @param {Object} args - Function arguments
+   * @param {Object|Array} args - Function arguments by ABI input name, or already in ABI order
    * @param {Object} options - Additional options
    * @returns {Object} Caliper connector request
    * @protected
    */
   createSSIRequest(contractName, operation, args, options = {}) {
-    const isReadOnly = READ_ONLY_OPERATIONS.has(operation);
+    // Read-only status and argument order come from the contract ABI, never from object key order
+    const isReadOnly = OPERATION_REGISTRY.isReadOnly(contractName, operation);
     // const limit = this.getGasLimitFromConfig(contractName, operation);
 
     // if (typeof limit !== 'number' || !Number.isFinite(limit) || limit <= 100000) {
@@ -237,18 +452,22 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
     const request = {
       contract: contractName,
       verb: operation,
-      args: Object.values(args),
+      args: OPERATION_REGISTRY.orderArguments(contractName, operation, args),
       readOnly: isReadOnly,
       ...options
     };
 
     // Add transaction-specific fields for write operations
     if (!isReadOnly) {
-      // Use Caliper Ethereum's gas configuration
-      request.gas = {
-        limit: this.getGasLimitFromConfig(contractName, operation),
-        price: this.ssiConfig.gasPrice
-      };
+      const gasLimit = this.getGasLimitFromConfig(contractName, operation);
+
+      // Use Caliper Ethereum's gas configuration; EIP-1559 fees are resolved when the request is sent
+      request.gas = this.ssiConfig.feeSettings.mode === FEE_MODES.EIP1559
+        ? { limit: gasLimit, feeMode: FEE_MODES.EIP1559 }
+        : { limit: gasLimit, price: this.ssiConfig.gasPrice };
+
+      // The connector ignores request.gas and would otherwise send without a limit (estimateGas is off)
+      this.installGasLimit(contractName, operation, gasLimit);
 
       // // Caliper Ethereum expects flat fields: gas (limit) and gasPrice
       // request.gas = limit;
@@ -268,6 +487,16 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
    * @protected
    */
   getGasLimitFromConfig(contractName, operation) {
+    // Limits pinned by the workload override everything else
+    if (this.pinnedGasLimits?.[contractName]?.[operation]) {
+      return this.pinnedGasLimits[contractName][operation];
+    }
+
+    // Calibrated limits take precedence over hand-tuned ones
+    if (this.calibratedGasLimits?.[contractName]?.[operation]) {
+      return this.calibratedGasLimits[contractName][operation];
+    }
+
     // Try custom gas config first
     if (this.ssiConfig.gasConfig?.[contractName]?.[operation]) {
       return this.ssiConfig.gasConfig[contractName][operation];
@@ -283,29 +512,74 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
       if (contractConfig?.functions?.[operation]?.gas) {
         return contractConfig.functions[operation].gas;
       }
+
+      // Per-function limits as the Caliper Ethereum connector reads them (contracts.<name>.gas.<function>)
+      if (typeof contractConfig?.gas?.[operation] === 'number') {
+        return contractConfig.gas[operation];
+      }
     } catch (error) {
-      // Continue to fallback values
-    }
-
-    // Fallback to reasonable defaults optimized for SSI operations
-    const defaultGasLimits = {
-      'assignRole': 90000,
-      'revokeRole': 70000,
-      'createDid': 135000,
-      'updateDid': 80000,
-      'issueCredential': 130000,
-      'updateCredentialStatus': 100000,
-      // Read operations (should not be used as they're read-only)
-      'getRole': 20000,
-      'resolveDid': 20000,
-      'resolveCredential': 20000
-    };
+      // Continue to the configured default
+    }
+
+    // Operations without a limit of their own use gasConfig.default
+    if (this.ssiConfig.gasConfig?.default) {
+      return this.ssiConfig.gasConfig.default;
+    }
 
-    return defaultGasLimits[operation] || 250000;
+    if (!this.unconfiguredGasLimits) this.unconfiguredGasLimits = new Set();
+    if (!this.unconfiguredGasLimits.has(`${contractName}.${operation}`)) {
+      this.unconfiguredGasLimits.add(`${contractName}.${operation}`);
+      console.warn(`⚠️ No gas limit configured for ${contractName}.${operation}; using ${DEFAULT_GAS_LIMIT} (set gasConfig.${contractName}.${operation} or gasConfig.default)`);
+    }
+    return DEFAULT_GAS_LIMIT;
+  }
+
+  /**
+   * Pin the gas limit of an operation over calibration, gasConfig and the network configuration
+   * Call after initializeWorkloadModule, since calibration rewrites the connector's limits at init
+   * @param {string} contractName - Contract name
+   * @param {string} operation - Operation name
+   * @param {number|string} limit - Gas limit
+   * @protected
+   */
+  pinGasLimit(contractName, operation, limit) {
+    const gasLimit = Number(limit);
+    if (!Number.isInteger(gasLimit) || gasLimit <= 0) {
+      throw new Error(`SSI workload error: gas limit for ${contractName}.${operation} must be a positive integer, got ${limit}`);
+    }
+
+    if (!this.pinnedGasLimits) this.pinnedGasLimits = {};
+    this.pinnedGasLimits[contractName] = { ...this.pinnedGasLimits[contractName], [operation]: gasLimit };
+    this.installGasLimit(contractName, operation, gasLimit);
+  }
+
+  /**
+   * Set the gas limit the connector sends for an operation
+   * The Caliper Ethereum connector only reads contracts.<name>.gas.<function> of its context. That
+   * object is shared with the network configuration, so it is copied before the first change of the
+   * round and limits installed for one round never leak into the next.
+   * @param {string} contractName - Contract name
+   * @param {string} operation - Operation name
+   * @param {number} gasLimit - Gas limit
+   * @protected
+   */
+  installGasLimit(contractName, operation, gasLimit) {
+    const contractInfo = this.sutAdapter.context?.contracts?.[contractName];
+    if (!contractInfo || contractInfo.gas?.[operation] === gasLimit) return;
+
+    if (!this.gasInstalledContracts) this.gasInstalledContracts = new Set();
+    if (!this.gasInstalledContracts.has(contractName)) {
+      contractInfo.gas = { ...contractInfo.gas };
+      this.gasInstalledContracts.add(contractName);
+    }
+    contractInfo.gas[operation] = gasLimit;
   }
 
   /**
    * Execute an SSI operation using Caliper Ethereum connector
+   * Transient failures of write requests are retried with exponential backoff according to the round's
+   * retry policy. Requests signed by the workload (retries enabled or feeMode eip1559) are reported to
+   * Caliper once per operation, so retried attempts never count as extra transactions.
    * @param {string} contractName - Contract name
    * @param {string} operation - Operation name
    * @param {Object} args - Operation arguments
@@ -314,62 +588,1089 @@ class SimplifiedSSIOperationBase extends WorkloadModuleBase {
    * @protected
    */
   async executeSSIOperation(contractName, operation, args, options = {}) {
-    const startTime = Date.now();
-    let result;
-
     // Handle case where options is actually a caller address string
     if (typeof options === 'string' && options.startsWith('0x')) {
       options = { fromAddress: options };
     }
 
-    try {
-      // Create optimized request for Caliper Ethereum
-      const request = this.createSSIRequest(contractName, operation, args, options);
+    // Create optimized request for Caliper Ethereum
+    const request = this.createSSIRequest(contractName, operation, args, options);
 
+    if (request.gas) {
       console.log('Caliper request gas:', request.gas);
+    }
+
+    // Simulations never reach Caliper's statistics, so a txNumber round needs this error to end
+    if (this.dryRunReport && !request.readOnly && !this.dryRunReport.admit()) {
+      throw new Error(`SSI workload error: dry run reached dryRun.maxRequests (${this.ssiConfig.dryRun.maxRequests} simulated requests)`);
+    }
+
+    const sender = this.resolveIdentitySender(request) || this.selectPoolSender(request);
+    if (!this.isSignedRequest(request)) {
+      return this.attemptSSIRequest(request, sender);
+    }
+
+    // One Caliper transaction per operation, timed from its first attempt
+    const startTime = Date.now();
+    let status = null;
+    this.sutAdapter.emit(CONNECTOR_EVENTS.TxsSubmitted, 1);
+    try {
+      status = await this.attemptSSIRequest(request, sender);
+      return status;
+    } finally {
+      if (!status) {
+        status = new TxStatus();
+        status.SetStatusFail();
+        status.SetVerification(true);
+      }
+      status.SetTimeCreate(startTime);
+      this.sutAdapter.emit(CONNECTOR_EVENTS.TxsFinished, status);
+    }
+  }
+
+  /**
+   * Send a request until it succeeds, fails for good or runs out of retries
+   * Read-only requests are sent once: every call through the connector is a Caliper transaction
+   * @param {Object} request - Caliper connector request
+   * @param {Object|null} sender - Identity or pool account to send from, or null for the connector account
+   * @returns {Promise} Result of the final attempt
+   * @protected
+   */
+  async attemptSSIRequest(request, sender) {
+    const maxRetries = request.readOnly ? 0 : this.ssiConfig.retryPolicy.maxRetries;
+
+    for (let attempt = 0; ; attempt++) {
+      const outcome = await this.sendSSIRequest(request, sender);
+      const retry = outcome.failure !== null && attempt < maxRetries && this.isTransientFailure(outcome.failure, outcome.error);
+
+      this.recordReceipt(request, sender, outcome.startTime, outcome.result, outcome.error, outcome.failure, {
+        attempt: attempt + 1,
+        final: !retry
+      });
+      this.countOutcome(request.verb, attempt, outcome.failure, !retry);
+
+      if (retry) {
+        const delay = this.getRetryDelay(attempt);
+        console.warn(`🔁 ${request.contract}.${request.verb} attempt ${attempt + 1} failed with ${outcome.failure.name}; retrying in ${delay}ms (${attempt + 1}/${maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+
+      this.coordinateOutcome(request, sender, outcome);
+      if (this.dryRunReport && !request.readOnly) {
+        this.dryRunReport.record(request, this.getRequestSender(sender), outcome.failure);
+      }
+
+      if (outcome.error) {
+        outcome.error.ssiFailure = outcome.failure;
+        throw outcome.error;
+      }
+
+      if (attempt > 0 && outcome.result && typeof outcome.result.Set === 'function') {
+        outcome.result.Set('attempts', attempt + 1);
+      }
+      return outcome.result;
+    }
+  }
+
+  /**
+   * Check whether a result of executeSSIOperation was committed successfully
+   * Reverted transactions are returned as failed statuses rather than thrown, so state that depends
+   * on the write is only recorded when this returns true
+   * @param {Object} result - Result of executeSSIOperation
+   * @returns {boolean} True if the transaction was confirmed
+   * @protected
+   */
+  isConfirmed(result) {
+    if (result && typeof result.IsCommitted === 'function') {
+      return result.IsCommitted();
+    }
+    return Boolean(result);
+  }
+
+  /**
+   * Send one attempt of a request and diagnose it if it failed
+   * @param {Object} request - Caliper connector request
+   * @param {Object|null} sender - Identity or pool account to send from, or null for the connector account
+   * @returns {Promise<Object>} { result, error, failure, startTime }
+   * @protected
+   */
+  async sendSSIRequest(request, sender) {
+    const startTime = Date.now();
+    let result = null;
+    let error = null;
+    let failure = null;
 
+    try {
       // Use sutAdapter.sendRequests for optimal Nethermind interaction
-      result = await this.sutAdapter.sendRequests(request);
+      if (!request.readOnly && this.dryRunReport) {
+        result = await this.simulateSSIRequest(request, sender);
+      } else if (this.isSignedRequest(request)) {
+        result = await this.sendSignedRequest(request, sender);
+      } else {
+        result = sender
+          ? await this.sendRequestFrom(request, sender)
+          : await this.sutAdapter.sendRequests(request);
+      }
+    } catch (sendError) {
+      error = sendError;
+    }
 
-      const executionTime = Date.now() - startTime;
-      console.log(`✅ ${contractName}.${operation} completed in ${executionTime}ms`);
+    const executionTime = Date.now() - startTime;
+    const failedStatus = result && typeof result.IsCommitted === 'function' && !result.IsCommitted();
 
-      return result;
-    } catch (error) {
-      const executionTime = Date.now() - startTime;
-      console.error(`❌ ${contractName}.${operation} failed after ${executionTime}ms: ${error.message}`);
+    if (error || failedStatus) {
+      // Simulated reverts carry their revert data, so they are decoded without another eth_call
+      failure = await this.diagnoseFailure(request, sender, error || result.Get('revertData'));
+      if (!request.readOnly && this.isNonceFailure(failure, error)) {
+        await this.nonceManager?.resync(this.getRequestSender(sender));
+      }
+      if (failedStatus) {
+        result.Set('errorName', failure.name);
+        result.Set('revertReason', failure.reason);
+      }
+      console.error(`❌ ${request.contract}.${request.verb} failed after ${executionTime}ms: ${failure.reason}`);
 
       // Add transaction details to error for better debugging
-      if (error.originalError) {
+      if (error && error.originalError) {
         console.error(`Original error: ${error.originalError.message || JSON.stringify(error.originalError)}`);
       }
+    } else {
+      console.log(`✅ ${request.contract}.${request.verb} completed in ${executionTime}ms`);
+    }
+
+    return { result, error, failure, startTime };
+  }
+
+  /**
+   * Check whether a request is signed and sent by the workload instead of the connector
+   * sutAdapter.sendRequests counts every call as a Caliper transaction, so write requests that may be
+   * retried bypass it, as do EIP-1559 transactions, which the connector cannot sign
+   * @param {Object} request - Caliper connector request
+   * @returns {boolean} True if the request goes through sendSignedRequest
+   * @protected
+   */
+  isSignedRequest(request) {
+    if (request.readOnly || this.dryRunReport) return false;
+    return this.ssiConfig.retryPolicy.maxRetries > 0 || this.ssiConfig.feeSettings.mode === FEE_MODES.EIP1559;
+  }
+
+  /**
+   * Check whether a failure is a transient JSON-RPC or transport problem worth retrying
+   * Decoded contract reverts are deterministic and never retried. Neither is a failure whose replay
+   * does not revert (NoRevertOnReplay) unless the node rejected the send: after a receipt timeout the
+   * transaction may still be mined, and sending it again would apply the operation twice
+   * @param {Object} failure - Failure from diagnoseFailure
+   * @param {Error|null} error - Error thrown by the connector, if any
+   * @returns {boolean} True if the request should be retried
+   * @protected
+   */
+  isTransientFailure(failure, error = null) {
+    if (failure.args) return false; // decoded custom error
+
+    const messages = [failure.reason, error && error.message].filter(Boolean);
+    return messages.some(message => TRANSIENT_FAILURE_PATTERNS.some(pattern => pattern.test(message)));
+  }
+
+  /**
+   * Check whether a failure means the sender's nonce counter must be resynchronized with the node
+   * A failure whose replay does not revert may have left a nonce gap; the resync only repairs the
+   * counter (a transaction still in the pool counts as pending) and does not resend anything
+   * @param {Object} failure - Failure from diagnoseFailure
+   * @param {Error|null} error - Error thrown while sending, if any
+   * @returns {boolean} True for rejected nonces, gaps and transactions that never got mined
+   * @protected
+   */
+  isNonceFailure(failure, error = null) {
+    if (failure.args) return false; // decoded custom error
+    if (failure.name === 'NoRevertOnReplay') return true;
+
+    const messages = [failure.reason, error && error.message].filter(Boolean);
+    return messages.some(message => NONCE_FAILURE_PATTERN.test(message));
+  }
+
+  /**
+   * Delay before the next attempt: retryDelay * retryBackoffFactor^attempt, capped at maxRetryDelay
+   * @param {number} attempt - Zero-based index of the attempt that failed
+   * @returns {number} Delay in milliseconds
+   * @protected
+   */
+  getRetryDelay(attempt) {
+    const { retryDelay, retryBackoffFactor, maxRetryDelay } = this.ssiConfig.retryPolicy;
+    return Math.min(retryDelay * Math.pow(retryBackoffFactor, attempt), maxRetryDelay);
+  }
+
+  /**
+   * Count an attempt; failures are only attributed to the failure summary once they are final
+   * @param {string} operation - Operation name
+   * @param {number} attempt - Zero-based attempt index
+   * @param {Object|null} failure - Failure from diagnoseFailure, or null on success
+   * @param {boolean} final - True if no further attempt follows
+   * @protected
+   */
+  countOutcome(operation, attempt, failure, final) {
+    const stats = this.retryStats;
+
+    if (attempt === 0) stats.requests++;
+    if (attempt === 1) stats.retriedRequests++;
+
+    if (!final) {
+      stats.retriedAttempts++;
+      stats.retriedByError[failure.name] = (stats.retriedByError[failure.name] || 0) + 1;
+      return;
+    }
+
+    if (failure) {
+      stats.finalFailure++;
+      const operationFailures = this.failureCounts[operation] || (this.failureCounts[operation] = {});
+      operationFailures[failure.name] = (operationFailures[failure.name] || 0) + 1;
+    } else {
+      stats.finalSuccess++;
+      if (attempt > 0) stats.succeededAfterRetry++;
+    }
+  }
+
+  /**
+   * Log retried attempts separately from final outcomes
+   * Caliper reports one transaction per request: its succ and fail counts match finalSuccess and
+   * finalFailure, and retriedAttempts are sent on top of them
+   * @protected
+   */
+  logRetrySummary() {
+    const stats = this.retryStats;
+    if (!stats || stats.retriedAttempts === 0) return;
+
+    console.log(`🔁 Worker ${this.workerIndex} round ${this.roundIndex} retries (Caliper counts the ${stats.requests} requests, not the ${stats.retriedAttempts} retried attempts): ${JSON.stringify(stats)}`);
+  }
+
+  /**
+   * Pass the outcome of a request to the receipt collector
+   * @param {Object} request - Caliper connector request
+   * @param {Object|null} sender - Identity or pool account the request was sent from, or null for the connector account
+   * @param {number} submitTime - Submission time (ms)
+   * @param {Object|null} result - Caliper TxStatus
+   * @param {Error} error - Error thrown by the connector, if any
+   * @param {Object} failure - Decoded failure from diagnoseFailure, if any
+   * @param {Object} attemptInfo - { attempt, final } from the retry policy
+   * @protected
+   */
+  recordReceipt(request, sender, submitTime, result, error = null, failure = null, attemptInfo = { attempt: 1, final: true }) {
+    if (!this.receiptCollector) return;
+
+    this.receiptCollector.record(request, {
+      sender: this.getRequestSender(sender),
+      gasLimit: this.getSentGasLimit(request),
+      submitTime,
+      result,
+      error,
+      errorName: failure ? failure.name : null,
+      ...attemptInfo
+    });
+  }
+
+  /**
+   * Resolve the account a request was sent from
+   * @param {Object|null} sender - Identity or pool account the request was sent from, or null for the connector account
+   * @returns {string} Sender address
+   * @protected
+   */
+  getRequestSender(sender) {
+    return sender ? sender.address : (this.sutAdapter.context?.fromAddress || this.fromAddress);
+  }
+
+  /**
+   * Work out why a request failed
+   * The connector only logs the node's error, so the request is replayed as eth_call from the same
+   * sender to recover the revert data, which is decoded against the SSI contract ABIs
+   * @param {Object} request - Caliper connector request
+   * @param {Object|null} sender - Identity or pool account the request was sent from, or null for the connector account
+   * @param {Error} error - Error thrown by the connector, if any
+   * @returns {Promise<Object>} { name, args, reason } where name is the custom error or failure category
+   * @protected
+   */
+  async diagnoseFailure(request, sender, error = null) {
+    let revertData = extractRevertData(error);
+    let category = error ? error.message : 'TransactionFailed';
+
+    const web3 = this.sutAdapter.context?.web3;
+    if (!revertData && this.ssiConfig.decodeReverts && web3) {
+      try {
+        await sendRpc(web3, 'eth_call', [{
+          from: this.getRequestSender(sender),
+          to: this.getContractAddress(request.contract),
+          data: getContractInterface(request.contract).encodeFunctionData(request.verb, request.args),
+          gas: request.readOnly ? undefined : `0x${Number(this.getSentGasLimit(request)).toString(16)}`
+        }, 'latest']);
+        // The call succeeds now: the failure was not a revert (nonce, funds, timeout) or the state has moved on
+        category = 'NoRevertOnReplay';
+      } catch (callError) {
+        revertData = extractRevertData(callError);
+        if (!revertData) category = `RpcError: ${callError.message}`;
+      }
+    }
+
+    let failure;
+    const decoded = revertData ? decodeRevertData(revertData, request.contract) : null;
+    if (decoded) {
+      failure = { name: decoded.name, args: decoded.args, reason: formatRevert(decoded) };
+    } else if (revertData) {
+      const selector = revertData.substring(0, 10);
+      failure = { name: `UnknownError(${selector})`, args: null, reason: `Unknown custom error ${selector} (${revertData})` };
+    } else {
+      failure = { name: category, args: null, reason: category };
+    }
+
+    return failure;
+  }
+
+  /**
+   * Log this worker's failures of the round grouped by decoded error type
+   * @protected
+   */
+  logFailureSummary() {
+    if (!this.failureCounts || Object.keys(this.failureCounts).length === 0) return;
+
+    const byError = {};
+    let total = 0;
+    for (const operationFailures of Object.values(this.failureCounts)) {
+      for (const [name, count] of Object.entries(operationFailures)) {
+        byError[name] = (byError[name] || 0) + count;
+        total += count;
+      }
+    }
+
+    console.log(`📉 Worker ${this.workerIndex} round ${this.roundIndex} failures by error type (${total} total): ${JSON.stringify({ byError, byOperation: this.failureCounts })}`);
+  }
+
+  /**
+   * Resolve the gas limit the connector actually sends for a request
+   * The Caliper Ethereum connector uses the per-function gas of its contract context and ignores
+   * request.gas; createSSIRequest installs the resolved limit there
+   * @param {Object} request - Caliper connector request
+   * @returns {number|null} Gas limit
+   * @protected
+   */
+  getSentGasLimit(request) {
+    const connectorGas = this.sutAdapter.context?.contracts?.[request.contract]?.gas?.[request.verb];
+    if (connectorGas) return Number(connectorGas);
+    return request.gas ? request.gas.limit : null;
+  }
 
+  /**
+   * Calibrate the gas limit of every SSI write operation with eth_estimateGas
+   * Estimates representative calls built from the state manager, applies gasCalibration.headroom,
+   * and installs the limits in the connector's contract context (which is what the connector sends).
+   * Operations that cannot be estimated keep their configured limit. The table is cached per round
+   * and written to gasCalibration.directory for review.
+   * @returns {Promise<Object|null>} Calibrated table, or null if calibration was skipped
+   * @protected
+   */
+  async calibrateGasLimits() {
+    const calibrationConfig = this.ssiConfig.gasCalibration;
+    if (calibrationConfig.enabled !== true) return null;
+
+    const connectorContext = this.sutAdapter.context;
+    if (!connectorContext?.web3) {
+      console.warn(`⚠️ Worker ${this.workerIndex} has no web3 instance in the connector context; skipping gas calibration`);
+      return null;
+    }
+
+    const configuredLimits = {};
+    for (const [contractName, operations] of Object.entries(CALIBRATED_OPERATIONS)) {
+      configuredLimits[contractName] = Object.fromEntries(operations.map(operation => [
+        operation,
+        this.getSentGasLimit({ contract: contractName, verb: operation, gas: { limit: this.getGasLimitFromConfig(contractName, operation) } })
+      ]));
+    }
+
+    let table;
+    try {
+      await this.ssiState.waitForAccountsLoaded();
+      const cacheKey = [this.roundIndex, ...Object.keys(CALIBRATED_OPERATIONS).map(contractName => this.getContractAddress(contractName).toLowerCase())].join(':');
+      table = await calibrateGasLimits(connectorContext.web3, this.buildCalibrationProbes(), configuredLimits, {
+        cacheKey,
+        headroom: calibrationConfig.headroom
+      });
+    } catch (error) {
+      console.warn(`⚠️ Gas calibration failed for Worker ${this.workerIndex}, keeping configured limits: ${error.message}`);
+      return null;
+    }
+
+    this.calibratedGasLimits = {};
+    let estimatedCount = 0;
+    for (const [contractName, operations] of Object.entries(table)) {
+      this.calibratedGasLimits[contractName] = {};
+
+      for (const [operation, entry] of Object.entries(operations)) {
+        if (entry.source !== 'estimate') continue;
+        estimatedCount++;
+        this.calibratedGasLimits[contractName][operation] = entry.limit;
+        this.installGasLimit(contractName, operation, entry.limit);
+      }
+    }
+
+    try {
+      const filePath = writeCalibrationTable(table, calibrationConfig, this.workerIndex, this.roundIndex);
+      console.log(`⛽ Worker ${this.workerIndex} calibrated ${estimatedCount} gas limits (table: ${filePath})`);
+    } catch (error) {
+      console.warn(`⚠️ Could not write the gas calibration table for Worker ${this.workerIndex}: ${error.message}`);
+    }
+
+    return table;
+  }
+
+  /**
+   * Build one eth_estimateGas probe per calibrated operation from state manager fixtures
+   * Signed variants are signed with the identity's (or issuer's) key; operations whose fixtures
+   * are missing get no probe and keep their configured limit
+   * @returns {Array<Object>} { contract, operation, address, from, args }
+   * @protected
+   */
+  buildCalibrationProbes() {
+    const fixtures = this.ssiState.getCalibrationFixtures();
+    const relayer = this.sutAdapter.context.fromAddress;
+    const { freshAccount, issuer, holder, didOwner, roleHolder, credential, docHash, docCid, credentialId } = fixtures;
+    const { DID_REGISTRY, CREDENTIAL_REGISTRY, ROLE_CONTROL } = SSI_CONTRACTS;
+    // Signed directly rather than through signSSIPayload so probes stay out of the signing statistics
+    const sign = (contractName, identity, operation, fields, privateKey) => {
+      const payloadHash = buildSignedPayloadHash(this.getContractAddress(contractName), identity, operation, fields);
+      const { sigV, sigR, sigS } = signPayloadHash(privateKey, payloadHash);
+      return [sigV, sigR, sigS];
+    };
+    const docFields = [{ type: 'bytes32', value: docHash }, { type: 'string', value: docCid }];
+    const credentialFields = [{ type: 'bytes32', value: credentialId }, { type: 'string', value: docCid }];
+
+    const probes = [
+      [ROLE_CONTROL, SSI_OPERATIONS.ASSIGN_ROLE, relayer, () => [SSI_ROLES.HOLDER, freshAccount.address]],
+      [ROLE_CONTROL, SSI_OPERATIONS.REVOKE_ROLE, relayer, roleHolder && (() => [roleHolder.role, roleHolder.address])],
+      [DID_REGISTRY, SSI_OPERATIONS.CREATE_DID, relayer, () => [freshAccount.address, docHash, docCid]],
+      [DID_REGISTRY, SSI_OPERATIONS.UPDATE_DID, didOwner?.address, didOwner && (() => [didOwner.address, docHash, docCid])],
+      [DID_REGISTRY, SSI_OPERATIONS.DEACTIVATE_DID, didOwner?.address, didOwner && (() => [didOwner.address])],
+      [DID_REGISTRY, SSI_OPERATIONS.CREATE_DID_SIGNED, relayer, () => [
+        freshAccount.address,
+        ...sign(DID_REGISTRY, freshAccount.address, SSI_OPERATIONS.CREATE_DID, docFields, freshAccount.privateKey),
+        docHash,
+        docCid
+      ]],
+      [DID_REGISTRY, SSI_OPERATIONS.UPDATE_DID_SIGNED, relayer, didOwner && (() => [
+        didOwner.address,
+        ...sign(DID_REGISTRY, didOwner.address, SSI_OPERATIONS.UPDATE_DID, docFields, didOwner.privateKey),
+        docHash,
+        docCid
+      ])],
+      [DID_REGISTRY, SSI_OPERATIONS.DEACTIVATE_DID_SIGNED, relayer, didOwner && (() => [
+        didOwner.address,
+        ...sign(DID_REGISTRY, didOwner.address, SSI_OPERATIONS.DEACTIVATE_DID, [], didOwner.privateKey)
+      ])],
+      [CREDENTIAL_REGISTRY, SSI_OPERATIONS.ISSUE_CREDENTIAL, issuer?.address, issuer && holder && (() => [holder.address, credentialId, docCid])],
+      [CREDENTIAL_REGISTRY, SSI_OPERATIONS.ISSUE_CREDENTIAL_SIGNED, relayer, issuer?.privateKey && holder && (() => [
+        holder.address,
+        ...sign(CREDENTIAL_REGISTRY, holder.address, SSI_OPERATIONS.ISSUE_CREDENTIAL, credentialFields, issuer.privateKey),
+        credentialId,
+        docCid
+      ])],
+      [CREDENTIAL_REGISTRY, SSI_OPERATIONS.UPDATE_CREDENTIAL_STATUS, credential?.issuer, credential && (() => [
+        credential.credentialId,
+        credential.previousStatus,
+        credential.newStatus
+      ])]
+    ];
+
+    return probes
+      .filter(([, , from, buildArgs]) => from && buildArgs)
+      .map(([contractName, operation, from, buildArgs]) => ({
+        contract: contractName,
+        operation,
+        address: this.getContractAddress(contractName),
+        from,
+        args: buildArgs()
+      }));
+  }
+
+  /**
+   * Rebuild the state manager's view of roles, DIDs and credentials from the chain
+   * Replays contract events by default; mode 'calls' queries getRole/validateDid/resolveCredential
+   * for known entities instead. Failures keep the local view so the round can still run.
+   * @returns {Promise<Object|null>} Correction counts, or null if reconciliation was skipped
+   * @protected
+   */
+  async reconcileSSIState() {
+    const reconciliationConfig = this.ssiConfig.reconciliation;
+    if (reconciliationConfig.enabled !== true) return null;
+
+    const web3 = this.sutContext && this.sutContext.web3;
+    if (!web3) {
+      console.warn(`⚠️ Worker ${this.workerIndex} has no web3 instance in the SUT context; skipping on-chain reconciliation`);
+      return null;
+    }
+
+    try {
+      await this.ssiState.waitForAccountsLoaded();
+
+      const contractAddresses = {};
+      for (const contractName of Object.values(SSI_CONTRACTS)) {
+        contractAddresses[contractName] = this.getContractAddress(contractName);
+      }
+
+      const chainState = reconciliationConfig.mode === 'calls'
+        ? await queryKnownEntities(web3, contractAddresses, this.ssiState.getReconciliationTargets(), reconciliationConfig)
+        : await replayContractEvents(web3, contractAddresses, reconciliationConfig);
+
+      return this.ssiState.applyChainState(chainState);
+    } catch (error) {
+      console.warn(`⚠️ On-chain reconciliation failed for Worker ${this.workerIndex}, continuing with local state: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Join the claims and journals shared by the workers of the round (coordination.enabled)
+   * The directory is namespaced by chain ID, contract addresses and the hash of block 1, so claims
+   * from an earlier deployment or a restarted dev chain are never consulted
+   * @returns {Promise<Object|null>} Coordinator, or null if coordination is disabled or unavailable
+   * @protected
+   */
+  async setupCoordination() {
+    const coordinationConfig = this.ssiConfig.coordination;
+    // Claims of a dry run would outlive it and hide identities from the real rounds
+    if (!coordinationConfig.enabled || this.ssiConfig.dryRun.enabled) return null;
+
+    const web3 = this.sutContext && this.sutContext.web3;
+    if (!web3) {
+      console.warn(`⚠️ Worker ${this.workerIndex} has no web3 instance in the SUT context; running without cross-worker coordination`);
+      return null;
+    }
+
+    try {
+      await this.ssiState.waitForAccountsLoaded();
+
+      const firstBlock = (await web3.eth.getBlock(1)) || (await web3.eth.getBlock(0));
+      const deployment = Object.values(SSI_CONTRACTS).map(contractName => this.getContractAddress(contractName).toLowerCase());
+      const namespace = `chain${this.ssiConfig.chainId}-${ethers.id([...deployment, firstBlock.hash].join(':')).substring(2, 18)}`;
+
+      this.coordinator = getCoordinator(coordinationConfig, this.workerIndex, this.totalWorkers, namespace);
+    } catch (error) {
+      console.warn(`⚠️ Coordination setup failed for Worker ${this.workerIndex}, running without cross-worker claims: ${error.message}`);
+      return null;
+    }
+
+    this.ssiState.setCoordinator(this.coordinator);
+    const applied = this.syncCoordination();
+    console.log(`🤝 Worker ${this.workerIndex} coordinating through ${this.coordinator.directory} (${applied} entries from other workers)`);
+
+    if (coordinationConfig.syncIntervalMs > 0) {
+      this.coordinationSync = setInterval(() => this.syncCoordination(), coordinationConfig.syncIntervalMs);
+      // Never keep the worker process alive just for the journal sync
+      this.coordinationSync.unref();
+    }
+
+    return this.coordinator;
+  }
+
+  /**
+   * Apply the results other workers confirmed since the last sync
+   * @returns {number} Number of journal entries applied
+   * @protected
+   */
+  syncCoordination() {
+    if (!this.coordinator) return 0;
+
+    try {
+      return this.ssiState.applyCoordinationEntries(this.coordinator.pull());
+    } catch (error) {
+      console.warn(`⚠️ Coordination sync failed for Worker ${this.workerIndex}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Stop the journal sync and pick up the last entries before the state snapshot is written
+   * @protected
+   */
+  stopCoordinationSync() {
+    if (this.coordinationSync) {
+      clearInterval(this.coordinationSync);
+      this.coordinationSync = null;
+    }
+    this.syncCoordination();
+  }
+
+  /**
+   * Publish a confirmed write to the other workers, or release its claim after a final failure
+   * @param {Object} request - Caliper connector request
+   * @param {Object|null} sender - Identity or pool account the request was sent from, or null for the connector account
+   * @param {Object} outcome - Final attempt from sendSSIRequest
+   * @protected
+   */
+  coordinateOutcome(request, sender, outcome) {
+    if (!this.coordinator || request.readOnly) return;
+
+    const args = request.args;
+    let claim = null;
+    let entry = null;
+    switch (request.verb) {
+      case SSI_OPERATIONS.ASSIGN_ROLE:
+        // assignRole(ROLES role, address account)
+        claim = [CLAIM_KINDS.ROLE, args[1]];
+        entry = { type: 'role', account: args[1], role: Number(args[0]) };
+        break;
+      case SSI_OPERATIONS.CREATE_DID:
+      case SSI_OPERATIONS.CREATE_DID_SIGNED:
+        claim = [CLAIM_KINDS.DID, args[0]];
+        entry = { type: 'did', identity: args[0] };
+        break;
+      case SSI_OPERATIONS.DEACTIVATE_DID:
+      case SSI_OPERATIONS.DEACTIVATE_DID_SIGNED:
+        claim = [CLAIM_KINDS.DEACTIVATION, args[0]];
+        entry = { type: 'didDeactivated', identity: args[0] };
+        break;
+      case SSI_OPERATIONS.ISSUE_CREDENTIAL:
+        // issueCredential(address identity, bytes32 credentialId, string credentialCid); msg.sender is the issuer
+        entry = { type: 'credential', holder: args[0], credentialId: args[1], credentialCid: args[2], issuer: this.getRequestSender(sender) };
+        break;
+      case SSI_OPERATIONS.ISSUE_CREDENTIAL_SIGNED: {
+        // issueCredentialSigned(address identity, uint8 sigV, bytes32 sigR, bytes32 sigS, bytes32 credentialId, string credentialCid)
+        const record = this.ssiState.getCredentialRecord(args[4]);
+        if (record) {
+          entry = { type: 'credential', holder: args[0], credentialId: args[4], credentialCid: args[5], issuer: record.issuer };
+        }
+        break;
+      }
+      case SSI_OPERATIONS.UPDATE_CREDENTIAL_STATUS: {
+        // updateCredentialStatus(bytes32 credentialId, CredentialStatus previousStatus, CredentialStatus newStatus)
+        const previousStatus = Number(args[1]);
+        const newStatus = Number(args[2]);
+        claim = [CLAIM_KINDS.STATUS, statusClaimKey(args[0], previousStatus, newStatus)];
+        entry = { type: 'credentialStatus', credentialId: args[0], previousStatus, newStatus };
+        break;
+      }
+      default:
+        return;
+    }
+
+    try {
+      if (outcome.failure) {
+        if (claim) this.coordinator.release(...claim);
+      } else if (entry) {
+        this.coordinator.publish(entry);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not share ${request.verb} outcome with other workers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Log claims taken, conflicts with other workers and journal traffic
+   * @protected
+   */
+  logCoordinationSummary() {
+    if (!this.coordinator) return;
+    console.log(`🤝 Worker ${this.workerIndex} coordination: ${JSON.stringify(this.coordinator.getStatistics())}`);
+  }
+
+  /**
+   * Top up the accounts this worker sends from with the connector account
+   * Targets are the worker's sender pool and up to funding.maxIdentities keyed identities it owns
+   * (getFundingTargets); only accounts below funding.minBalance receive a transfer, up to
+   * funding.targetBalance. Keyed identities outside the funded set are no longer selected as senders.
+   * The funded set is re-checked during the round by the balance watch (startBalanceWatch).
+   * @returns {Promise<Object|null>} Funding summary, or null if funding was skipped
+   * @protected
+   */
+  async fundSenderAccounts() {
+    const fundingConfig = this.ssiConfig.funding;
+    if (fundingConfig.enabled !== true || this.ssiConfig.dryRun.enabled) return null;
+
+    const connectorContext = this.sutAdapter.context;
+    if (!connectorContext?.web3 || !connectorContext.fromAddress) {
+      console.warn(`⚠️ Worker ${this.workerIndex} has no connector account to fund senders from; skipping funding`);
+      return null;
+    }
+
+    this.fundingSettings = resolveFundingSettings(fundingConfig);
+
+    try {
+      await this.ssiState.waitForAccountsLoaded();
+      const poolSenders = this.senderPool.filter(Boolean).map(sender => sender.address);
+      const identities = this.ssiState.getFundingTargets(connectorContext.fromAddress, this.totalWorkers, this.fundingSettings.maxIdentities);
+      const targets = [...new Set([...poolSenders, ...identities])];
+      const summary = await topUpAccounts(connectorContext, targets, this.fundingSettings, this.nonceManager);
+
+      const unfunded = new Set(summary.unfunded);
+      this.fundedSenders = targets.filter(address => !unfunded.has(address));
+      this.ssiState.setFundedSenders(this.fundedSenders);
+
+      console.log(`💰 Worker ${this.workerIndex} funded ${summary.funded}/${summary.checked} senders with ${ethers.formatEther(summary.transferred)} ETH (${summary.failed} failed)`);
+      return summary;
+    } catch (error) {
+      console.warn(`⚠️ Account funding failed for Worker ${this.workerIndex}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Re-check the balances of the funded senders every funding.watchIntervalMs during the round (0 disables)
+   * @protected
+   */
+  startBalanceWatch() {
+    if (!this.fundingSettings || !this.fundedSenders || this.fundingSettings.watchIntervalMs === 0) return;
+
+    this.balanceWatch = setInterval(() => {
+      // A slow check is never overlapped by the next one
+      if (this.balanceCheck) return;
+      this.balanceCheck = this.topUpFundedSenders().finally(() => { this.balanceCheck = null; });
+    }, this.fundingSettings.watchIntervalMs);
+
+    // Never keep the worker process alive just for the balance watch
+    this.balanceWatch.unref();
+  }
+
+  /**
+   * Stop the balance watch and wait for a check still in flight, so no transfer outlives the round
+   * @returns {Promise<void>}
+   * @protected
+   */
+  async stopBalanceWatch() {
+    if (this.balanceWatch) {
+      clearInterval(this.balanceWatch);
+      this.balanceWatch = null;
+    }
+    if (this.balanceCheck) {
+      await this.balanceCheck;
+    }
+  }
+
+  /**
+   * Top up funded senders that dropped below funding.minBalance
+   * Transfers reserve the connector account's nonces through the nonce manager, like the benchmark
+   * transactions sent from that account, so the two never collide
+   * @returns {Promise<Object|null>} Funding summary, or null if the check failed
+   * @protected
+   */
+  async topUpFundedSenders() {
+    try {
+      const summary = await topUpAccounts(this.sutAdapter.context, this.fundedSenders, this.fundingSettings, this.nonceManager);
+      if (summary.funded > 0 || summary.failed > 0) {
+        console.log(`💰 Worker ${this.workerIndex} topped up ${summary.funded}/${summary.checked} senders with ${ethers.formatEther(summary.transferred)} ETH (${summary.failed} failed)`);
+      }
+      return summary;
+    } catch (error) {
+      console.warn(`⚠️ Balance check failed for Worker ${this.workerIndex}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Decide whether a request must be signed by its identity rather than the connector account
+   * @param {Object} request - Caliper connector request
+   * @returns {Object|null} { address, privateKey } of the identity, or null to use the connector account
+   * @protected
+   */
+  resolveIdentitySender(request) {
+    if (!this.ssiConfig.identitySigning || request.readOnly || !request.fromAddress) return null;
+    if (!IDENTITY_SIGNED_OPERATIONS.has(request.verb)) return null;
+
+    const connectorSender = this.sutAdapter.context?.fromAddress;
+    if (connectorSender && connectorSender.toLowerCase() === request.fromAddress.toLowerCase()) return null;
+
+    const privateKey = this.ssiState.getPrivateKey(request.fromAddress);
+    if (!privateKey) {
+      console.warn(`⚠️ No private key known for ${request.fromAddress.substring(0, 10)}...; sending ${request.verb} from the worker account`);
+      return null;
+    }
+
+    return { address: request.fromAddress, privateKey };
+  }
+
+  /**
+   * Send a request from an identity or pool account through the Caliper Ethereum connector
+   * The connector always signs with its context.fromAddress and takes the nonce from context.nonces,
+   * both read before its first await. The key is registered in the connector's web3 wallet, and the
+   * sender and its reserved nonce are swapped in only for that synchronous part, so Caliper still
+   * tracks the transaction in its round statistics.
+   * @param {Object} request - Caliper connector request
+   * @param {Object} sender - { address, privateKey } of the sending account
+   * @returns {Promise} Transaction result
+   * @protected
+   */
+  async sendRequestFrom(request, sender) {
+    const connectorContext = this.sutAdapter.context;
+    if (!connectorContext?.web3) {
+      throw new Error('SSI workload error: connector context has no web3 instance for identity signing');
+    }
+
+    if (!this.walletSenders) this.walletSenders = new Set();
+    if (!this.walletSenders.has(sender.address)) {
+      connectorContext.web3.eth.accounts.wallet.add(sender.privateKey);
+      this.walletSenders.add(sender.address);
+    }
+
+    const nonce = connectorContext.nonces && this.nonceManager ? await this.nonceManager.reserve(sender.address) : undefined;
+
+    // Restored before the first await, so concurrent requests never see the swapped sender
+    const connectorSender = connectorContext.fromAddress;
+    connectorContext.fromAddress = sender.address;
+    if (nonce !== undefined) connectorContext.nonces[sender.address] = nonce;
+    let pendingResult;
+    try {
+      pendingResult = this.sutAdapter.sendRequests(request);
+    } finally {
+      connectorContext.fromAddress = connectorSender;
+      if (nonce !== undefined) delete connectorContext.nonces[sender.address];
+    }
+    return pendingResult;
+  }
+
+  /**
+   * Build this worker's sender pool from keyed TRUSTEE accounts (senderPool.size, 1 disables the pool)
+   * Candidates are split across workers by address so no two workers share a sender and its nonce sequence.
+   * The connector account is always the pool's first member.
+   * @returns {Array<Object|null>} Pool members: null for the connector account, { address, privateKey } otherwise
+   * @protected
+   */
+  buildSenderPool() {
+    const size = Math.max(1, Number(this.ssiConfig.senderPool.size || 1));
+    if (size === 1 || !this.nonceManager) return [null];
+
+    // Each shared account has a fixed owner worker (ownsAccount), which identity signing and funding respect too
+    const connectorSender = (this.sutAdapter.context.fromAddress || '').toLowerCase();
+    const candidates = this.ssiState.getKeyedAccountsWithRole(SSI_ROLES.TRUSTEE)
+      .filter(account => account.address.toLowerCase() !== connectorSender)
+      .sort((a, b) => a.address.toLowerCase().localeCompare(b.address.toLowerCase()))
+      .filter(account => this.coordinator
+        ? this.ssiState.canSendAs(account.address)
+        : ownsAccount(account.address, this.workerIndex, this.totalWorkers))
+      .slice(0, size - 1);
+
+    if (candidates.length < size - 1) {
+      console.warn(`⚠️ Worker ${this.workerIndex} found only ${candidates.length} keyed TRUSTEE accounts for a sender pool of ${size}`);
+    }
+
+    this.senderPoolStats = new Map([['connector', 0], ...candidates.map(account => [account.address, 0])]);
+    this.senderPoolCursor = 0;
+    console.log(`👥 Worker ${this.workerIndex} rotating through ${candidates.length + 1} senders`);
+
+    return [null, ...candidates];
+  }
+
+  /**
+   * Pick the next pool member for a request sent from the connector account
+   * @param {Object} request - Caliper connector request
+   * @returns {Object|null} { address, privateKey } of a pool account, or null for the connector account
+   * @protected
+   */
+  selectPoolSender(request) {
+    if (!this.senderPool || this.senderPool.length <= 1) return null;
+    if (request.readOnly || !POOLED_OPERATIONS.has(request.verb)) return null;
+
+    const sender = this.senderPool[this.senderPoolCursor];
+    this.senderPoolCursor = (this.senderPoolCursor + 1) % this.senderPool.length;
+
+    const statsKey = sender ? sender.address : 'connector';
+    this.senderPoolStats.set(statsKey, this.senderPoolStats.get(statsKey) + 1);
+    return sender;
+  }
+
+  /**
+   * Log how requests were spread across the sender pool and how often nonces were resynchronized
+   * @protected
+   */
+  logSenderPoolSummary() {
+    if (!this.senderPoolStats || !this.nonceManager) return;
+
+    const perSender = Object.fromEntries([...this.senderPoolStats.entries()]
+      .map(([address, count]) => [address === 'connector' ? address : `${address.substring(0, 10)}...`, count]));
+    console.log(`👥 Worker ${this.workerIndex} sender pool: ${JSON.stringify({ perSender, nonces: this.nonceManager.getStatistics() })}`);
+  }
+
+  /**
+   * Log how credential holders and updated DIDs were spread by the configured holderDistribution
+   * @protected
+   */
+  logHolderDistributionSummary() {
+    if (!this.ssiState || typeof this.ssiState.getHolderSelectionStatistics !== 'function') return;
+
+    const statistics = this.ssiState.getHolderSelectionStatistics();
+    if (statistics.credentials.picks === 0 && statistics.didUpdates.picks === 0) return;
+
+    console.log(`🎯 Worker ${this.workerIndex} holder distribution: ${JSON.stringify(statistics)}`);
+  }
+
+  /**
+   * Sign a write request with ethers and send it with eth_sendRawTransaction
+   * Used for EIP-1559 (type-2) transactions, which the connector's web3 1.2.6 cannot sign, and for
+   * legacy transactions at the connector's gas price when retries are enabled. Nothing is reported
+   * to Caliper here; executeSSIOperation reports the operation once, whatever its number of attempts.
+   * @param {Object} request - Caliper connector request
+   * @param {Object|null} identity - { address, privateKey } of the sending identity, or null for the connector account
+   * @returns {Promise<TxStatus>} Transaction status with the JSON-RPC receipt as result
+   * @protected
+   */
+  async sendSignedRequest(request, identity) {
+    const connectorContext = this.sutAdapter.context;
+    if (!connectorContext?.web3) {
+      throw new Error('SSI workload error: connector context has no web3 instance for signed transactions');
+    }
+
+    const { web3 } = connectorContext;
+    const sender = identity || this.getConnectorSigner();
+    const feeSettings = this.ssiConfig.feeSettings;
+    const status = new TxStatus();
+
+    try {
+      let fees = { type: 0, gasPrice: connectorContext.gasPrice };
+      if (feeSettings.mode === FEE_MODES.EIP1559) {
+        fees = { type: 2, ...await getEip1559Fees(web3, feeSettings) };
+        status.Set('maxFeePerGas', fees.maxFeePerGas.toString());
+        status.Set('maxPriorityFeePerGas', fees.maxPriorityFeePerGas.toString());
+      }
+
+      const nonce = await this.nonceManager.reserve(sender.address);
+      const signedTransaction = await new ethers.Wallet(sender.privateKey).signTransaction({
+        chainId: connectorContext.chainId || this.ssiConfig.chainId,
+        nonce,
+        to: this.getContractAddress(request.contract),
+        data: getContractInterface(request.contract).encodeFunctionData(request.verb, request.args),
+        value: request.value || 0,
+        gasLimit: this.getSentGasLimit(request),
+        ...fees
+      });
+
+      const txHash = await sendRpc(web3, 'eth_sendRawTransaction', [signedTransaction]);
+      status.SetID(txHash);
+
+      const receipt = await waitForReceipt(web3, txHash, { pollMs: feeSettings.receiptPollMs, timeoutMs: feeSettings.receiptTimeoutMs });
+      status.SetResult(receipt);
+      status.SetVerification(true);
+      if (BigInt(receipt.status) === 1n) {
+        status.SetStatusSuccess();
+      } else {
+        status.SetStatusFail();
+      }
+      return status;
+    } catch (error) {
+      status.SetStatusFail();
+      status.SetVerification(true);
       throw error;
     }
   }
 
   /**
-   * Get current nonce for the from address
-   * Uses Caliper Ethereum's nonce management
-   * @returns {Promise<number>} Current nonce
+   * Simulate a write request with eth_call against the latest block instead of sending it
+   * Simulations are left out of Caliper's round statistics, which would otherwise report them as
+   * transactions; their outcomes go to the dry run report only. A revert fails the status and keeps
+   * the revert data for diagnoseFailure. Transport errors are thrown as for a sent request.
+   * @param {Object} request - Caliper connector request
+   * @param {Object|null} sender - Identity or pool account to call from, or null for the connector account
+   * @returns {Promise<TxStatus>} Status with the call's return data as result
    * @protected
    */
-  async getCurrentNonce() {
+  async simulateSSIRequest(request, sender) {
+    const web3 = this.sutAdapter.context?.web3;
+    if (!web3) {
+      throw new Error('SSI workload error: connector context has no web3 instance for dry run simulations');
+    }
+
+    const status = new TxStatus();
+    status.Set('dryRun', true);
+
     try {
-      // Let Caliper Ethereum handle nonce management
-      return await this.sutAdapter.getNonce(this.fromAddress);
+      const returnData = await sendRpc(web3, 'eth_call', [{
+        from: this.getRequestSender(sender),
+        to: this.getContractAddress(request.contract),
+        data: getContractInterface(request.contract).encodeFunctionData(request.verb, request.args),
+        gas: `0x${Number(this.getSentGasLimit(request)).toString(16)}`
+      }, 'latest']);
+      status.SetResult(returnData);
+      status.SetVerification(true);
+      status.SetStatusSuccess();
+      return status;
     } catch (error) {
-      // Fallback to local tracking
-      return this.nonceTracker[this.fromAddress] || 0;
+      status.SetStatusFail();
+      const revertData = extractRevertData(error);
+      if (!revertData) throw error;
+
+      status.Set('revertData', revertData);
+      status.SetVerification(true);
+      return status;
     }
   }
 
   /**
-   * Increment nonce tracker (for fallback scenarios)
+   * Resolve the key of the connector account from the connector's web3 wallet
+   * @returns {Object} { address, privateKey } of the connector account
    * @protected
    */
-  incrementNonce() {
-    this.nonceTracker[this.fromAddress] = (this.nonceTracker[this.fromAddress] || 0) + 1;
+  getConnectorSigner() {
+    const connectorContext = this.sutAdapter.context;
+    const account = connectorContext.web3.eth.accounts.wallet[connectorContext.fromAddress];
+    if (!account) {
+      throw new Error('SSI workload error: feeMode eip1559 and maxRetries need fromAddressPrivateKey or fromAddressSeed in the network configuration');
+    }
+    return { address: connectorContext.fromAddress, privateKey: account.privateKey };
+  }
+
+  /**
+   * Resolve the deployed address of an SSI contract
+   * @param {string} contractName - Contract name
+   * @returns {string} Contract address
+   * @protected
+   */
+  getContractAddress(contractName) {
+    const address = this.sutAdapter.ethereumConfig?.contracts?.[contractName]?.address ||
+      this.ssiConfig.contractAddresses[contractName];
+
+    if (!address) {
+      throw new Error(`SSI workload error: no address configured for contract ${contractName}`);
+    }
+
+    return address;
+  }
+
+  /**
+   * Sign the payload of a *Signed contract function off-chain
+   * Signing time is tracked separately from the on-chain latency reported by Caliper
+   * @param {string} contractName - Contract that verifies the signature
+   * @param {string} identity - Identity address passed to the function
+   * @param {string} operation - Unsigned operation name embedded in the payload
+   * @param {Array<Object>} fields - Trailing payload fields as { type, value }
+   * @param {string} privateKey - Signer private key
+   * @returns {Object} sigV, sigR, sigS and signingTimeMs
+   * @protected
+   */
+  signSSIPayload(contractName, identity, operation, fields, privateKey) {
+    if (!privateKey) {
+      throw new Error(`SSI workload error: no private key available to sign ${operation} for ${identity}`);
+    }
+
+    const startTime = process.hrtime.bigint();
+    const payloadHash = buildSignedPayloadHash(this.getContractAddress(contractName), identity, operation, fields);
+    const signature = signPayloadHash(privateKey, payloadHash);
+    const signingTimeMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+
+    if (!this.signingStats) {
+      this.signingStats = { count: 0, totalMs: 0, minMs: Infinity, maxMs: 0 };
+    }
+    this.signingStats.count++;
+    this.signingStats.totalMs += signingTimeMs;
+    this.signingStats.minMs = Math.min(this.signingStats.minMs, signingTimeMs);
+    this.signingStats.maxMs = Math.max(this.signingStats.maxMs, signingTimeMs);
+
+    return { ...signature, signingTimeMs };
+  }
+
+  /**
+   * Log off-chain signing statistics collected by signSSIPayload
+   * @protected
+   */
+  logSigningStatistics() {
+    if (!this.signingStats || this.signingStats.count === 0) {
+      return;
+    }
+
+    const { count, totalMs, minMs, maxMs } = this.signingStats;
+    console.log(`✍️ Worker ${this.workerIndex} off-chain signing: ${count} signatures, ` +
+      `avg ${(totalMs / count).toFixed(3)}ms, min ${minMs.toFixed(3)}ms, max ${maxMs.toFixed(3)}ms`);
   }
 }
 
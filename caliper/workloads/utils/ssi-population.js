@@ -0,0 +1,132 @@
+'use strict';
+
+// Role groups of a population spec, in the order their slots are laid out
+const POPULATION_GROUPS = ['trustees', 'issuers', 'holders'];
+
+// Order in which identities receive DIDs when withDids covers only part of the population:
+// issuers need a DID to issue and holders to receive credentials
+const DID_PRIORITY = ['issuers', 'holders', 'trustees'];
+
+/**
+ * Read a non-negative integer setting of the population spec
+ * @param {*} value - Configured value
+ * @param {string} name - Setting name for error messages
+ * @returns {number} Integer value
+ * @private
+ */
+function toCount(value, name) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`SSI workload error: population.${name} must be a non-negative integer, got ${value}`);
+  }
+  return count;
+}
+
+/**
+ * Split a population size across role groups by ratio (largest remainder, so counts add up to size)
+ * @param {number} size - Total number of identities
+ * @param {Object} ratios - Group name to ratio; ratios are normalized by their sum
+ * @returns {Object} Group name to count
+ * @private
+ */
+function apportion(size, ratios) {
+  const weights = POPULATION_GROUPS.map(group => Number(ratios[group] || 0));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weights.some(weight => !Number.isFinite(weight) || weight < 0) || total <= 0) {
+    throw new Error('SSI workload error: population.ratios needs non-negative trustees/issuers/holders ratios with a positive sum');
+  }
+
+  const shares = weights.map(weight => (size * weight) / total);
+  const counts = shares.map(Math.floor);
+  const byRemainder = shares
+    .map((share, index) => ({ index, remainder: share - counts[index] }))
+    .sort((a, b) => b.remainder - a.remainder);
+  const leftover = size - counts.reduce((sum, count) => sum + count, 0);
+  for (let i = 0; i < leftover; i++) {
+    counts[byRemainder[i].index]++;
+  }
+
+  return Object.fromEntries(POPULATION_GROUPS.map((group, index) => [group, counts[index]]));
+}
+
+/**
+ * Resolve the "population" round argument into absolute counts
+ * Roles are given either as counts ({ trustees, issuers, holders }) or as ratios of a size
+ * ({ size, ratios: { trustees, issuers, holders } }); DIDs as a count (withDids) or a ratio
+ * of the population (withDidsRatio), all identities by default
+ * @param {Object|undefined} spec - population round argument
+ * @returns {Object|null} { trustees, issuers, holders, size, withDids, credentialsPerHolder },
+ *   or null when no population is configured
+ */
+function resolvePopulationSpec(spec) {
+  if (!spec || spec.enabled === false) return null;
+
+  let counts;
+  if (spec.ratios) {
+    counts = apportion(toCount(spec.size, 'size'), spec.ratios);
+  } else {
+    counts = Object.fromEntries(POPULATION_GROUPS.map(group => [group, toCount(spec[group] || 0, group)]));
+  }
+
+  const size = POPULATION_GROUPS.reduce((sum, group) => sum + counts[group], 0);
+  if (counts.trustees < 1) {
+    throw new Error('SSI workload error: population needs at least one trustee (the deployer account)');
+  }
+
+  let withDids = size;
+  if (spec.withDidsRatio !== undefined) {
+    const ratio = Number(spec.withDidsRatio);
+    if (!Number.isFinite(ratio) || ratio < 0 || ratio > 1) {
+      throw new Error(`SSI workload error: population.withDidsRatio must be between 0 and 1, got ${spec.withDidsRatio}`);
+    }
+    withDids = Math.round(size * ratio);
+  } else if (spec.withDids !== undefined) {
+    withDids = Math.min(size, toCount(spec.withDids, 'withDids'));
+  }
+
+  return {
+    ...counts,
+    size,
+    withDids,
+    credentialsPerHolder: toCount(spec.credentialsPerHolder || 0, 'credentialsPerHolder')
+  };
+}
+
+/**
+ * Lay out the population as one slot per identity
+ * Slots are ordered trustees, issuers, holders and keep stable IDs (e.g. "issuer-3") so accounts
+ * seeded in an earlier run are found again. DIDs go to issuers first, then holders, then trustees;
+ * only holders with a DID receive credentials.
+ * @param {Object} population - Result of resolvePopulationSpec
+ * @returns {Array<Object>} { id, group, index, withDid, credentials } per identity
+ */
+function buildPopulationSlots(population) {
+  const slots = [];
+  for (const group of POPULATION_GROUPS) {
+    for (let index = 0; index < population[group]; index++) {
+      slots.push({ id: `${group.slice(0, -1)}-${index}`, group, index, withDid: false, credentials: 0 });
+    }
+  }
+
+  let didsLeft = population.withDids;
+  for (const group of DID_PRIORITY) {
+    for (const slot of slots) {
+      if (didsLeft === 0) break;
+      if (slot.group !== group) continue;
+      slot.withDid = true;
+      didsLeft--;
+    }
+  }
+
+  for (const slot of slots) {
+    if (slot.group === 'holders' && slot.withDid) slot.credentials = population.credentialsPerHolder;
+  }
+
+  return slots;
+}
+
+module.exports = {
+  POPULATION_GROUPS,
+  resolvePopulationSpec,
+  buildPopulationSlots
+};
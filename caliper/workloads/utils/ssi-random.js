@@ -0,0 +1,95 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Seeded streams per seed, worker and purpose, kept for the lifetime of the worker process so later
+// rounds continue a stream instead of replaying the values of the first round
+const SEEDED_STREAMS = new Map();
+
+/**
+ * Random source for workload argument generation
+ * Unseeded it uses crypto.randomBytes and Math.random. Seeded it expands SHA-256(seed:stream:counter)
+ * into a deterministic byte stream, so the same seed yields the same addresses, hashes and choices.
+ */
+class SSIRandom {
+  /**
+   * Create a random source
+   * @param {string|number|null} seed - Seed, or null for non-deterministic randomness
+   * @param {string} stream - Stream name, unique per worker and purpose
+   */
+  constructor(seed = null, stream = '') {
+    this.seeded = seed !== null && seed !== undefined;
+    this.streamKey = `${seed}:${stream}`;
+    this.counter = 0;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Read random bytes
+   * @param {number} length - Number of bytes
+   * @returns {Buffer} Random bytes
+   */
+  bytes(length) {
+    if (!this.seeded) return crypto.randomBytes(length);
+
+    while (this.buffer.length < length) {
+      const block = crypto.createHash('sha256').update(`${this.streamKey}:${this.counter++}`).digest();
+      this.buffer = Buffer.concat([this.buffer, block]);
+    }
+
+    const result = Buffer.from(this.buffer.subarray(0, length));
+    this.buffer = this.buffer.subarray(length);
+    return result;
+  }
+
+  /**
+   * Read a float in [0, 1)
+   * @returns {number} Random number
+   */
+  next() {
+    if (!this.seeded) return Math.random();
+    return this.bytes(6).readUIntBE(0, 6) / 2 ** 48;
+  }
+
+  /**
+   * Read an integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} Random integer
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Pick an element of an array
+   * @param {Array} items - Candidates
+   * @returns {*} Random element (undefined for an empty array)
+   */
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+}
+
+/**
+ * Get the random source of a worker for one purpose
+ * Seeded sources are shared per seed, worker and purpose within the worker process
+ * @param {string|number|undefined} seed - "seed" round argument; unset for non-deterministic randomness
+ * @param {number} workerIndex - Worker index, so every worker draws from its own stream
+ * @param {string} purpose - Stream purpose (e.g. 'state', 'operations')
+ * @returns {SSIRandom} Random source
+ */
+function getRandomSource(seed, workerIndex, purpose) {
+  if (seed === null || seed === undefined) return new SSIRandom();
+
+  const stream = `w${workerIndex}:${purpose}`;
+  const key = `${seed}:${stream}`;
+  if (!SEEDED_STREAMS.has(key)) {
+    SEEDED_STREAMS.set(key, new SSIRandom(seed, stream));
+  }
+  return SEEDED_STREAMS.get(key);
+}
+
+module.exports = {
+  SSIRandom,
+  getRandomSource
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Default directory (relative to the Caliper workspace) for per-transaction receipt logs
+const DEFAULT_RECEIPT_DIRECTORY = 'receipts';
+
+// Records buffered in memory before they are appended to disk
+const DEFAULT_FLUSH_EVERY = 500;
+
+// Column order of the CSV output (also the key order of JSONL records)
+const RECEIPT_FIELDS = [
+  'txHash',
+  'contract',
+  'operation',
+  'readOnly',
+  'sender',
+  'gasLimit',
+  'gasUsed',
+  'effectiveGasPrice',
+  'blockNumber',
+  'submitTime',
+  'receiptTime',
+  'inclusionTime',
+  'latencyMs',
+  'outcome',
+  'errorName',
+  'attempt',
+  'final'
+];
+
+/**
+ * Escape a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ * @private
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Per-worker, per-round collector of transaction receipts
+ * Writes one record per request to JSONL and/or CSV so gas usage and latency can be analysed
+ * outside Caliper's HTML report
+ */
+class SSIReceiptCollector {
+  /**
+   * Create a receipt collector
+   * @param {number} workerIndex - Worker index
+   * @param {number} roundIndex - Round index
+   * @param {Object} config - receipts round argument ({ enabled, directory, format, flushEvery })
+   * @param {Object} web3 - web3 instance used to look up block timestamps (optional)
+   */
+  constructor(workerIndex, roundIndex, config = {}, web3 = null) {
+    this.workerIndex = workerIndex;
+    this.roundIndex = roundIndex;
+    this.web3 = web3;
+    this.flushEvery = Number(config.flushEvery || DEFAULT_FLUSH_EVERY);
+
+    const format = config.format || 'jsonl';
+    this.formats = format === 'both' ? ['jsonl', 'csv'] : [format];
+    for (const outputFormat of this.formats) {
+      if (outputFormat !== 'jsonl' && outputFormat !== 'csv') {
+        throw new Error(`SSI workload error: unsupported receipts format "${format}" (expected jsonl, csv or both)`);
+      }
+    }
+
+    const directory = path.resolve(config.directory || DEFAULT_RECEIPT_DIRECTORY);
+    const baseName = `receipts-r${roundIndex}-w${workerIndex}`;
+    this.files = Object.fromEntries(this.formats.map(outputFormat => [outputFormat, path.join(directory, `${baseName}.${outputFormat}`)]));
+
+    fs.mkdirSync(directory, { recursive: true });
+    for (const [outputFormat, filePath] of Object.entries(this.files)) {
+      fs.writeFileSync(filePath, outputFormat === 'csv' ? `${RECEIPT_FIELDS.join(',')}\n` : '');
+    }
+
+    this.buffer = [];
+    this.blockTimestamps = new Map();
+    this.recorded = 0;
+    this.flushing = Promise.resolve();
+  }
+
+  /**
+   * Record the outcome of one request
+   * @param {Object} request - Caliper connector request
+   * @param {Object} details - { sender, gasLimit, submitTime, result, error, errorName, attempt, final }
+   */
+  record(request, details) {
+    const { result, error } = details;
+    const hasStatus = result && typeof result.GetStatus === 'function';
+    const receipt = hasStatus ? result.GetResult() : null;
+    const receiptTime = hasStatus ? result.GetTimeFinal() : Date.now();
+    const isReceipt = receipt && typeof receipt === 'object' && receipt.transactionHash;
+
+    let outcome = 'error';
+    if (!error && hasStatus) {
+      outcome = result.IsCommitted() ? 'success' : 'failed';
+    }
+
+    this.buffer.push({
+      txHash: hasStatus ? result.GetID() || null : null,
+      contract: request.contract,
+      operation: request.verb,
+      readOnly: Boolean(request.readOnly),
+      sender: details.sender || null,
+      gasLimit: request.readOnly ? null : details.gasLimit,
+      gasUsed: isReceipt ? Number(receipt.gasUsed) : null,
+      effectiveGasPrice: isReceipt && receipt.effectiveGasPrice ? BigInt(receipt.effectiveGasPrice).toString() : null,
+      blockNumber: isReceipt ? Number(receipt.blockNumber) : null,
+      submitTime: details.submitTime,
+      receiptTime: receiptTime || null,
+      inclusionTime: null,
+      latencyMs: receiptTime ? receiptTime - details.submitTime : null,
+      outcome,
+      errorName: details.errorName || null,
+      attempt: details.attempt || 1,
+      final: details.final !== false
+    });
+    this.recorded++;
+
+    if (this.buffer.length >= this.flushEvery) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Look up the timestamps (ms) of the blocks that included buffered transactions
+   * @param {Array<Object>} records - Buffered records
+   * @private
+   */
+  async _resolveInclusionTimes(records) {
+    if (!this.web3) return;
+
+    const blockNumbers = [...new Set(records.map(record => record.blockNumber).filter(blockNumber => blockNumber !== null))]
+      .filter(blockNumber => !this.blockTimestamps.has(blockNumber));
+
+    await Promise.all(blockNumbers.map(async (blockNumber) => {
+      try {
+        const block = await this.web3.eth.getBlock(blockNumber);
+        this.blockTimestamps.set(blockNumber, Number(block.timestamp) * 1000);
+      } catch (error) {
+        this.blockTimestamps.set(blockNumber, null);
+      }
+    }));
+
+    for (const record of records) {
+      if (record.blockNumber !== null) {
+        record.inclusionTime = this.blockTimestamps.get(record.blockNumber);
+      }
+    }
+  }
+
+  /**
+   * Append buffered records to the output files
+   * Flushes are serialized so records keep their submission order
+   * @returns {Promise} Resolves when the buffered records are written
+   */
+  flush() {
+    const records = this.buffer;
+    this.buffer = [];
+    if (records.length === 0) return this.flushing;
+
+    this.flushing = this.flushing.then(async () => {
+      await this._resolveInclusionTimes(records);
+
+      for (const [outputFormat, filePath] of Object.entries(this.files)) {
+        const lines = records.map(record => (outputFormat === 'csv'
+          ? RECEIPT_FIELDS.map(field => toCsvCell(record[field])).join(',')
+          : JSON.stringify(record)));
+        await fs.promises.appendFile(filePath, `${lines.join('\n')}\n`);
+      }
+    }).catch(error => {
+      console.warn(`⚠️ Could not write receipts for Worker ${this.workerIndex}: ${error.message}`);
+    });
+
+    return this.flushing;
+  }
+
+  /**
+   * Flush remaining records and report where they were written
+   * @returns {Promise<Object>} { recorded, files }
+   */
+  async close() {
+    await this.flush();
+    console.log(`🧾 Worker ${this.workerIndex} wrote ${this.recorded} receipts for round ${this.roundIndex}: ${Object.values(this.files).join(', ')}`);
+    return { recorded: this.recorded, files: { ...this.files } };
+  }
+}
+
+module.exports = SSIReceiptCollector;
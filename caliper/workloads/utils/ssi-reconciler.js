@@ -0,0 +1,172 @@
+'use strict';
+
+const { getContractInterface, callContractView } = require('./ssi-contracts');
+
+// Events replayed per contract to rebuild roles, DIDs and credential statuses
+const RECONCILIATION_EVENTS = {
+  RoleControl: ['RoleAssigned', 'RoleRevoked'],
+  DidRegistry: ['DIDCreated', 'DIDDeactivated'],
+  CredentialRegistry: ['CredentialIssued', 'CredentialStatusUpdated']
+};
+
+// Default number of blocks requested per eth_getLogs call
+const DEFAULT_BLOCK_RANGE = 5000;
+
+// Default number of concurrent view calls when querying known entities
+const DEFAULT_CALL_BATCH_SIZE = 20;
+
+// Replayed chain state per deployment, so later rounds only fetch blocks mined since the last replay
+const REPLAY_CACHE = new Map();
+
+/**
+ * Create an empty chain state view
+ * Keys are lowercased addresses and credential IDs
+ * @param {boolean} complete - True if the view covers every entity on chain (event replay)
+ * @returns {Object} { roles, dids, credentials, complete }
+ */
+function createChainState(complete) {
+  return {
+    roles: new Map(),       // address -> role (0 = none)
+    dids: new Map(),        // address -> { active } or null if no DID exists
+    credentials: new Map(), // credentialId -> { holder, issuer, credentialCid, status } or null if unknown
+    complete
+  };
+}
+
+/**
+ * Apply a decoded contract event to a chain state view
+ * @param {Object} chainState - Chain state view
+ * @param {ethers.LogDescription} event - Decoded event
+ * @private
+ */
+function applyEvent(chainState, event) {
+  const args = event.args;
+
+  switch (event.name) {
+  case 'RoleAssigned':
+    chainState.roles.set(args.account.toLowerCase(), Number(args.role));
+    break;
+  case 'RoleRevoked':
+    chainState.roles.set(args.account.toLowerCase(), 0);
+    break;
+  case 'DIDCreated':
+    chainState.dids.set(args.identity.toLowerCase(), { active: true });
+    break;
+  case 'DIDDeactivated':
+    chainState.dids.set(args.identity.toLowerCase(), { active: false });
+    break;
+  case 'CredentialIssued':
+    chainState.credentials.set(args.credentialId.toLowerCase(), {
+      holder: args.identity,
+      issuer: args.actor,
+      credentialCid: args.credentialCid,
+      status: 1 // ACTIVE
+    });
+    break;
+  case 'CredentialStatusUpdated': {
+    const credential = chainState.credentials.get(args.credentialId.toLowerCase());
+    if (credential) credential.status = Number(args.newStatus);
+    break;
+  }
+  }
+}
+
+/**
+ * Rebuild roles, DIDs and credentials by replaying contract events
+ * Replays are incremental within a worker process: only blocks after the previous replay are fetched
+ * @param {Object} web3 - web3 instance from the Caliper Ethereum context
+ * @param {Object} contractAddresses - Contract name to deployed address map
+ * @param {Object} options - { fromBlock, blockRange }
+ * @returns {Promise<Object>} Complete chain state view with the last replayed block
+ */
+async function replayContractEvents(web3, contractAddresses, options = {}) {
+  const cacheKey = Object.keys(RECONCILIATION_EVENTS)
+    .map(contractName => String(contractAddresses[contractName]).toLowerCase())
+    .join(':');
+  const cached = REPLAY_CACHE.get(cacheKey);
+
+  const chainState = cached ? cached.chainState : createChainState(true);
+  const startBlock = cached ? cached.lastBlock + 1 : Number(options.fromBlock || 0);
+  const latestBlock = Number(await web3.eth.getBlockNumber());
+  const blockRange = Number(options.blockRange || DEFAULT_BLOCK_RANGE);
+  let eventCount = 0;
+
+  for (const [contractName, eventNames] of Object.entries(RECONCILIATION_EVENTS)) {
+    const contractInterface = getContractInterface(contractName);
+    const topics = [eventNames.map(eventName => contractInterface.getEvent(eventName).topicHash)];
+
+    for (let fromBlock = startBlock; fromBlock <= latestBlock; fromBlock += blockRange) {
+      const toBlock = Math.min(fromBlock + blockRange - 1, latestBlock);
+      const logs = await web3.eth.getPastLogs({
+        address: contractAddresses[contractName],
+        fromBlock,
+        toBlock,
+        topics
+      });
+
+      for (const log of logs) {
+        const event = contractInterface.parseLog({ topics: log.topics, data: log.data });
+        if (event) {
+          applyEvent(chainState, event);
+          eventCount++;
+        }
+      }
+    }
+  }
+
+  REPLAY_CACHE.set(cacheKey, { chainState, lastBlock: latestBlock });
+  console.log(`🔁 Replayed ${eventCount} SSI events from blocks ${startBlock}-${latestBlock}`);
+
+  return chainState;
+}
+
+/**
+ * Query the on-chain state of known accounts and credentials with view calls
+ * (getRole, validateDid and resolveCredential)
+ * @param {Object} web3 - web3 instance from the Caliper Ethereum context
+ * @param {Object} contractAddresses - Contract name to deployed address map
+ * @param {Object} targets - { accounts: Array<string>, credentialIds: Array<string> }
+ * @param {Object} options - { batchSize }
+ * @returns {Promise<Object>} Chain state view covering only the queried entities
+ */
+async function queryKnownEntities(web3, contractAddresses, targets, options = {}) {
+  const chainState = createChainState(false);
+  const batchSize = Number(options.batchSize || DEFAULT_CALL_BATCH_SIZE);
+
+  const runBatched = async (items, query) => {
+    for (let i = 0; i < items.length; i += batchSize) {
+      await Promise.all(items.slice(i, i + batchSize).map(query));
+    }
+  };
+
+  await runBatched(targets.accounts || [], async (address) => {
+    const [role] = await callContractView(web3, 'RoleControl', contractAddresses.RoleControl, 'getRole', [address]);
+    const [exists, active] = await callContractView(web3, 'DidRegistry', contractAddresses.DidRegistry, 'validateDid', [address]);
+
+    chainState.roles.set(address.toLowerCase(), Number(role));
+    chainState.dids.set(address.toLowerCase(), exists ? { active } : null);
+  });
+
+  await runBatched(targets.credentialIds || [], async (credentialId) => {
+    try {
+      const [credentialRecord] = await callContractView(
+        web3, 'CredentialRegistry', contractAddresses.CredentialRegistry, 'resolveCredential', [credentialId]
+      );
+      chainState.credentials.set(credentialId.toLowerCase(), {
+        issuer: credentialRecord.issuer,
+        status: Number(credentialRecord.metadata.status)
+      });
+    } catch (error) {
+      // resolveCredential reverts with CredentialNotFound for unknown IDs; anything else is an RPC failure
+      if (!/revert/i.test(error.message)) throw error;
+      chainState.credentials.set(credentialId.toLowerCase(), null);
+    }
+  });
+
+  return chainState;
+}
+
+module.exports = {
+  replayContractEvents,
+  queryKnownEntities
+};
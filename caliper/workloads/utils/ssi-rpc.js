@@ -0,0 +1,58 @@
+'use strict';
+
+let rpcRequestId = 0;
+
+/**
+ * Send a raw JSON-RPC request through the provider of the connector's web3 instance
+ * Unlike the web3.eth helpers, failures keep the JSON-RPC error code and data (e.g. revert data)
+ * @param {Object} web3 - web3 instance from the Caliper Ethereum context
+ * @param {string} method - JSON-RPC method (e.g. "eth_call")
+ * @param {Array} params - Method parameters
+ * @returns {Promise<*>} JSON-RPC result
+ */
+function sendRpc(web3, method, params = []) {
+  const payload = { jsonrpc: '2.0', id: `ssi-${++rpcRequestId}`, method, params };
+
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send(payload, (error, response) => {
+      if (error) {
+        reject(error);
+      } else if (response && response.error) {
+        const rpcError = new Error(response.error.message);
+        rpcError.code = response.error.code;
+        rpcError.data = response.error.data;
+        reject(rpcError);
+      } else {
+        resolve(response ? response.result : undefined);
+      }
+    });
+  });
+}
+
+/**
+ * Poll for the receipt of a transaction until it is mined
+ * @param {Object} web3 - web3 instance from the Caliper Ethereum context
+ * @param {string} txHash - Transaction hash
+ * @param {Object} options - { pollMs, timeoutMs }
+ * @returns {Promise<Object>} JSON-RPC transaction receipt
+ */
+async function waitForReceipt(web3, txHash, options = {}) {
+  const pollMs = Number(options.pollMs || 500);
+  const timeoutMs = Number(options.timeoutMs || 120000);
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const receipt = await sendRpc(web3, 'eth_getTransactionReceipt', [txHash]);
+    if (receipt) return receipt;
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Transaction ${txHash} was not mined within ${timeoutMs}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, pollMs));
+  }
+}
+
+module.exports = {
+  sendRpc,
+  waitForReceipt
+};
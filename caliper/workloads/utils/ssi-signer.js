@@ -0,0 +1,43 @@
+'use strict';
+
+const { ethers } = require('ethers');
+
+/**
+ * Off-chain signing helpers for the *Signed functions of DidRegistry and CredentialRegistry
+ * The contracts recover the actor with ecrecover over
+ * keccak256(abi.encodePacked(bytes1(0x19), bytes1(0), address(this), identity, "<op>", ...fields))
+ */
+
+/**
+ * Build the digest expected by a *Signed contract function
+ * @param {string} contractAddress - Address of the verifying contract
+ * @param {string} identity - Identity address passed to the function
+ * @param {string} operation - Unsigned operation name embedded in the payload (e.g. "createDid")
+ * @param {Array<Object>} fields - Trailing payload fields as { type, value } in contract order
+ * @returns {string} bytes32 digest
+ */
+function buildSignedPayloadHash(contractAddress, identity, operation, fields = []) {
+  const types = ['bytes1', 'bytes1', 'address', 'address', 'string', ...fields.map(field => field.type)];
+  const values = ['0x19', '0x00', contractAddress, identity, operation, ...fields.map(field => field.value)];
+  return ethers.solidityPackedKeccak256(types, values);
+}
+
+/**
+ * Sign a payload digest directly (no EIP-191 personal message prefix, matching ecrecover in the contracts)
+ * @param {string} privateKey - Signer private key
+ * @param {string} payloadHash - bytes32 digest from buildSignedPayloadHash
+ * @returns {Object} Signature split into sigV, sigR and sigS
+ */
+function signPayloadHash(privateKey, payloadHash) {
+  const signature = new ethers.SigningKey(privateKey).sign(payloadHash);
+  return {
+    sigV: signature.v,
+    sigR: signature.r,
+    sigS: signature.s
+  };
+}
+
+module.exports = {
+  buildSignedPayloadHash,
+  signPayloadHash
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Snapshot format version, bumped on incompatible layout changes
+const SNAPSHOT_VERSION = 1;
+
+// Default directory (relative to the Caliper workspace) for state snapshots
+const DEFAULT_SNAPSHOT_DIRECTORY = 'state-snapshots';
+
+// Contracts whose addresses identify the deployment a snapshot belongs to
+const SNAPSHOT_CONTRACTS = ['RoleControl', 'DidRegistry', 'CredentialRegistry'];
+
+/**
+ * Normalize the contract addresses a snapshot is keyed by
+ * @param {Object} contractAddresses - Contract name to address map
+ * @returns {Object|null} Lowercased addresses, or null if any SSI contract address is missing
+ */
+function normalizeContractAddresses(contractAddresses = {}) {
+  const normalized = {};
+  for (const contractName of SNAPSHOT_CONTRACTS) {
+    const address = contractAddresses[contractName];
+    if (!address) return null;
+    normalized[contractName] = String(address).toLowerCase();
+  }
+  return normalized;
+}
+
+/**
+ * Resolve the snapshot file for a chain and worker
+ * @param {Object} snapshotConfig - stateSnapshot round argument ({ enabled, directory, file })
+ * @param {number} chainId - Chain ID
+ * @param {number} workerIndex - Worker index
+ * @returns {string} Absolute snapshot file path
+ */
+function getSnapshotPath(snapshotConfig, chainId, workerIndex) {
+  if (snapshotConfig.file) {
+    return path.resolve(snapshotConfig.file);
+  }
+
+  const directory = path.resolve(snapshotConfig.directory || DEFAULT_SNAPSHOT_DIRECTORY);
+  return path.join(directory, `ssi-state-chain${chainId}-w${workerIndex}.json`);
+}
+
+/**
+ * Read a snapshot and check that it belongs to the given chain and contract deployment
+ * @param {string} filePath - Snapshot file path
+ * @param {number} chainId - Expected chain ID
+ * @param {Object} contractAddresses - Expected (normalized) contract addresses
+ * @returns {Object|null} Snapshot data, or null if missing or rejected
+ */
+function readSnapshot(filePath, chainId, contractAddresses) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    console.warn(`⚠️ Rejected state snapshot ${filePath}: version ${snapshot.version} (expected ${SNAPSHOT_VERSION})`);
+    return null;
+  }
+
+  if (Number(snapshot.chainId) !== Number(chainId)) {
+    console.warn(`⚠️ Rejected state snapshot ${filePath}: chain ID ${snapshot.chainId} (expected ${chainId})`);
+    return null;
+  }
+
+  for (const contractName of SNAPSHOT_CONTRACTS) {
+    if (snapshot.contractAddresses?.[contractName] !== contractAddresses[contractName]) {
+      console.warn(`⚠️ Rejected state snapshot ${filePath}: ${contractName} address ${snapshot.contractAddresses?.[contractName]} (expected ${contractAddresses[contractName]})`);
+      return null;
+    }
+  }
+
+  return snapshot;
+}
+
+/**
+ * Write a snapshot atomically (temporary file + rename)
+ * @param {string} filePath - Snapshot file path
+ * @param {Object} snapshot - Snapshot data without version header
+ */
+function writeSnapshot(filePath, snapshot) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ version: SNAPSHOT_VERSION, ...snapshot }, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  normalizeContractAddresses,
+  getSnapshotPath,
+  readSnapshot,
+  writeSnapshot
+};
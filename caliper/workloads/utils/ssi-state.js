@@ -1,8 +1,12 @@
 'use strict';
 
-const crypto = require('crypto');
 const { ethers } = require('ethers');
 const { ConfigUtil } = require('@hyperledger/caliper-core');
+const { normalizeContractAddresses, getSnapshotPath, readSnapshot, writeSnapshot } = require('./ssi-snapshot');
+const { buildPopulationSlots } = require('./ssi-population');
+const { getRandomSource } = require('./ssi-random');
+const { HOLDER_DISTRIBUTIONS, resolveHolderDistribution, HolderSelector } = require('./ssi-holder-distribution');
+const { CLAIM_KINDS, statusClaimKey, ownsAccount } = require('./ssi-coordination');
 
 // SSI Entity Types
 const SSI_ENTITY_TYPES = {
@@ -27,6 +31,30 @@ const ROLE_NAMES = new Map([
   [SSI_ROLES.TRUSTEE, 'TRUSTEE']
 ]);
 
+// Role of each population spec group
+const POPULATION_GROUP_ROLES = {
+  trustees: SSI_ROLES.TRUSTEE,
+  issuers: SSI_ROLES.ISSUER,
+  holders: SSI_ROLES.HOLDER
+};
+
+// Credential status values (based on CredentialStatus enum in CredentialType.sol)
+const CREDENTIAL_STATUS = {
+  NONE: 0,
+  ACTIVE: 1,
+  REVOKED: 2,
+  SUSPENDED: 3
+};
+
+// Legal lifecycle walked by status updates (see _validateStatusTransition in CredentialRegistry)
+// ACTIVE -> SUSPENDED -> ACTIVE (reactivated) -> REVOKED (terminal)
+const CREDENTIAL_LIFECYCLE = [
+  CREDENTIAL_STATUS.ACTIVE,
+  CREDENTIAL_STATUS.SUSPENDED,
+  CREDENTIAL_STATUS.ACTIVE,
+  CREDENTIAL_STATUS.REVOKED
+];
+
 // Special addresses
 const DEPLOYER_ADDRESS = '0xc9c913c8c3c1cd416d80a0abf475db2062f161f6';
 const DEPLOYER_ADDRESS_LOWER = DEPLOYER_ADDRESS.toLowerCase();
@@ -34,6 +62,13 @@ const DEPLOYER_ADDRESS_LOWER = DEPLOYER_ADDRESS.toLowerCase();
 // Static cache to persist accounts between round initializations
 const GLOBAL_ACCOUNT_CACHE = new Map();
 
+// Static cache to persist issued credentials (issuer, holder, status) between round initializations
+// Insertion order doubles as least-recently-updated order for status transitions
+const GLOBAL_CREDENTIAL_CACHE = new Map();
+
+// Snapshot files and deployments imported by this worker process; later rounds reuse the in-memory caches
+const IMPORTED_SNAPSHOTS = new Set();
+
 /**
  * Simplified SSI State Manager
  * Generates transaction arguments for SSI operations without complex state tracking
@@ -57,6 +92,17 @@ class SimplifiedSSIStateManager {
     // Generate worker-specific prefix for unique identifiers
     this.workerPrefix = `w${workerIndex}`;
     
+    // Addresses, hashes, CIDs and choices come from this worker's stream of the "seed" round argument
+    // (non-deterministic when no seed is set)
+    this.random = getRandomSource(config.seed, workerIndex, 'state');
+    
+    // How credential holders and updated DIDs are picked from the candidates ("holderDistribution")
+    const holderDistribution = config.holderDistribution || resolveHolderDistribution();
+    this.holderSelectors = {
+      credentials: new HolderSelector(holderDistribution, this.random),
+      didUpdates: new HolderSelector(holderDistribution, this.random)
+    };
+    
     // Basic entity counters
     this.counters = {
       [SSI_ENTITY_TYPES.ROLE]: 0,
@@ -64,6 +110,17 @@ class SimplifiedSSIStateManager {
       [SSI_ENTITY_TYPES.CREDENTIAL]: 0
     };
     
+    // How often argument selection took its FALLBACK and LAST RESORT paths (reported by getStateStatistics)
+    this.selectionStats = {
+      workflowHolders: 0, // holders that went through role assignment and DID creation
+      fallbackHolders: 0, // other holders with a DID
+      lastResortHolders: 0, // every holder used already, so any holder with a DID was reused
+      fallbackDidIdentities: 0, // DIDs created for accounts outside the role assignment workflow
+      generatedDidIdentities: 0, // no account without a DID left, so a fresh one was generated
+      deployerDidSelfHeals: 0, // deployer DID recorded locally without a createDid transaction
+      deployerIssuerFallbacks: 0 // no ISSUER/TRUSTEE with an active DID, so the deployer issued
+    };
+    
     // Minimal state tracking
     this.entities = {
       roles: new Map(),
@@ -74,6 +131,15 @@ class SimplifiedSSIStateManager {
     // Predefined accounts for stable testing
     this.predefinedAccounts = new Map();
     
+    // Identities and credential IDs with transactions still in flight (skipped by selection)
+    this.pendingEntities = new Set();
+    
+    // Credential ID -> { holder, issuer, credentialCid } of issuances still in flight
+    this.pendingCredentials = new Map();
+    
+    // Cross-worker claims and confirmed results; null when this worker runs alone (see setCoordinator)
+    this.coordinator = null;
+    
     // Flag to track if we've fully loaded accounts
     this.accountsLoaded = false;
     
@@ -81,6 +147,7 @@ class SimplifiedSSIStateManager {
     this.initializePredefinedAccounts()
       .then(accounts => {
         this.predefinedAccounts = accounts;
+        this.importSnapshot();
         this._mergeGlobalCacheAccounts();
         this.accountsLoaded = true;
         console.log(`📊 Loaded ${this.predefinedAccounts.size} accounts total (${accounts.size} from Caliper network config + ${GLOBAL_ACCOUNT_CACHE.size} from cache)`);
@@ -90,6 +157,7 @@ class SimplifiedSSIStateManager {
         
         // Fallback to default predefined accounts
         this.predefinedAccounts = this.getDefaultPredefinedAccounts();
+        this.importSnapshot();
         this._mergeGlobalCacheAccounts('(fallback mode)');
         this.accountsLoaded = true;
         console.log(`⚠️ Using ${this.predefinedAccounts.size} accounts (default + cached)`);
@@ -137,6 +205,400 @@ class SimplifiedSSIStateManager {
     console.log(`📊 Found ${cachedDidsCount} accounts with DIDs in global cache${modeLabel}`);
   }
   
+  // === STATE SNAPSHOTS ===
+  
+  /**
+   * Resolve snapshot settings for this worker
+   * Snapshots are keyed by chain ID (file name) and SSI contract addresses (validated on import)
+   * @returns {Object|null} { filePath, chainId, contractAddresses } or null if snapshots are disabled
+   * @private
+   */
+  _getSnapshotTarget() {
+    const snapshotConfig = this.config.stateSnapshot || {};
+    if (snapshotConfig.enabled !== true) return null;
+    
+    const contractAddresses = normalizeContractAddresses(this.config.contractAddresses);
+    if (!contractAddresses || this.config.chainId === undefined) return null;
+    
+    return {
+      filePath: getSnapshotPath(snapshotConfig, this.config.chainId, this.workerIndex),
+      chainId: this.config.chainId,
+      contractAddresses
+    };
+  }
+  
+  /**
+   * Import a state snapshot from a previous run into the global caches
+   * Each snapshot file and deployment is imported once per worker process; snapshots from other chains
+   * or deployments are ignored. Private keys are not stored, so only network config accounts get theirs back
+   * @returns {boolean} True if a snapshot was imported
+   */
+  importSnapshot() {
+    const target = this._getSnapshotTarget();
+    if (!target) return false;
+    
+    const importKey = `${target.filePath}|${Object.values(target.contractAddresses).join(',')}`;
+    if (IMPORTED_SNAPSHOTS.has(importKey)) return false;
+    
+    let snapshot;
+    try {
+      snapshot = readSnapshot(target.filePath, target.chainId, target.contractAddresses);
+    } catch (error) {
+      console.warn(`⚠️ Could not read state snapshot ${target.filePath}: ${error.message}`);
+      return false;
+    }
+    if (!snapshot) return false;
+    
+    for (const account of snapshot.accounts || []) {
+      const { address, ...accountData } = account;
+      const existingData = GLOBAL_ACCOUNT_CACHE.get(address);
+      GLOBAL_ACCOUNT_CACHE.set(address, {
+        ...existingData,
+        ...accountData,
+        // Keys are re-derived from the network config; generated accounts come back without one
+        privateKey: this.getPrivateKey(address) || undefined,
+        used: false
+      });
+      if (accountData.role !== undefined && !accountData.needsRoleAssignment) {
+        this.entities.roles.set(address, { role: accountData.role, importedFromSnapshot: true });
+      }
+    }
+    
+    for (const credential of snapshot.credentials || []) {
+      const { credentialId, ...credentialRecord } = credential;
+      GLOBAL_CREDENTIAL_CACHE.set(credentialId, credentialRecord);
+    }
+    
+    IMPORTED_SNAPSHOTS.add(importKey);
+    console.log(`📥 Imported state snapshot ${target.filePath} (${snapshot.accounts?.length || 0} accounts, ${snapshot.credentials?.length || 0} credentials, saved ${snapshot.savedAt})`);
+    return true;
+  }
+  
+  /**
+   * Export accounts, roles, DIDs, credentials and their statuses to the snapshot file
+   * Private keys are never written to disk
+   * @returns {string|null} Snapshot file path or null if snapshots are disabled
+   */
+  exportSnapshot() {
+    const target = this._getSnapshotTarget();
+    if (!target) return null;
+    
+    const accounts = [];
+    for (const [address, accountData] of GLOBAL_ACCOUNT_CACHE.entries()) {
+      if (!accountData || accountData.source === 'caliper-fallback') continue;
+      const { used, privateKey, ...persistedData } = accountData;
+      const didRecord = this.entities.dids.get(address);
+      accounts.push({
+        address,
+        ...persistedData,
+        hasDid: Boolean(accountData.hasDid || didRecord),
+        didDeactivated: Boolean(accountData.didDeactivated || didRecord?.deactivated)
+      });
+    }
+    
+    const credentials = [];
+    for (const [credentialId, credentialRecord] of GLOBAL_CREDENTIAL_CACHE.entries()) {
+      credentials.push({ credentialId, ...credentialRecord });
+    }
+    
+    try {
+      writeSnapshot(target.filePath, {
+        chainId: target.chainId,
+        contractAddresses: target.contractAddresses,
+        savedAt: new Date().toISOString(),
+        worker: this.workerIndex,
+        accounts,
+        credentials
+      });
+      console.log(`💾 Saved state snapshot ${target.filePath} (${accounts.length} accounts, ${credentials.length} credentials)`);
+      return target.filePath;
+    } catch (error) {
+      console.warn(`⚠️ Could not write state snapshot ${target.filePath}: ${error.message}`);
+      return null;
+    }
+  }
+  
+  // === ON-CHAIN RECONCILIATION ===
+  
+  /**
+   * Collect the accounts and credential IDs known to this worker
+   * Used as query targets when reconciling with view calls instead of event replay
+   * @returns {Object} { accounts: Array<string>, credentialIds: Array<string> }
+   */
+  getReconciliationTargets() {
+    const accounts = new Set([...this.predefinedAccounts.keys(), ...GLOBAL_ACCOUNT_CACHE.keys()]);
+    return {
+      accounts: [...accounts],
+      credentialIds: [...GLOBAL_CREDENTIAL_CACHE.keys()]
+    };
+  }
+  
+  /**
+   * Overwrite the local view of roles, DIDs and credential statuses with the on-chain state
+   * Entities missing from a complete (event replay) view do not exist on chain
+   * @param {Object} chainState - View from replayContractEvents or queryKnownEntities
+   * @returns {Object} Number of corrected roles, DIDs and credentials
+   */
+  applyChainState(chainState) {
+    const corrections = { roles: 0, dids: 0, credentials: 0, removedCredentials: 0 };
+    const lookup = (map, key) => {
+      const value = map.get(key.toLowerCase());
+      if (value !== undefined) return value;
+      return chainState.complete ? null : undefined;
+    };
+    
+    const accounts = new Set([...this.predefinedAccounts.keys(), ...GLOBAL_ACCOUNT_CACHE.keys()]);
+    for (const address of accounts) {
+      const records = [this.predefinedAccounts.get(address), GLOBAL_ACCOUNT_CACHE.get(address)].filter(Boolean);
+      const localData = records[0];
+      
+      // Roles: 0 (NONE) means the account still needs an on-chain role assignment
+      const chainRole = lookup(chainState.roles, address);
+      if (chainRole !== undefined) {
+        const role = chainRole || SSI_ROLES.NONE;
+        const hadRole = !localData.needsRoleAssignment && localData.role !== SSI_ROLES.NONE;
+        if (role !== SSI_ROLES.NONE) {
+          if (!hadRole || localData.role !== role) corrections.roles++;
+          records.forEach(record => { record.role = role; record.needsRoleAssignment = false; });
+          this.entities.roles.set(address, { role, reconciled: true });
+        } else {
+          if (hadRole) corrections.roles++;
+          records.forEach(record => { record.needsRoleAssignment = true; });
+          this.entities.roles.delete(address);
+        }
+      }
+      
+      // DIDs: replace placeholder entries with what the DidRegistry reports
+      const chainDid = lookup(chainState.dids, address);
+      if (chainDid !== undefined) {
+        const hasDid = chainDid !== null;
+        const deactivated = hasDid && !chainDid.active;
+        if (this._addressHasDid(address) !== hasDid || this._isDidDeactivated(address) !== deactivated) {
+          corrections.dids++;
+        }
+        
+        records.forEach(record => { record.hasDid = hasDid; record.didDeactivated = deactivated; });
+        this.entities.dids.delete(address.toLowerCase());
+        if (hasDid) {
+          this.entities.dids.set(address, { reconciled: true, deactivated, createdAt: Date.now() });
+          if (deactivated) {
+            if (!this.deactivatedIdentities) this.deactivatedIdentities = new Set();
+            this.deactivatedIdentities.add(address);
+          }
+        } else {
+          this.entities.dids.delete(address);
+        }
+      }
+    }
+    
+    // Credentials: fix statuses of known credentials and drop those the chain does not know
+    for (const [credentialId, record] of [...GLOBAL_CREDENTIAL_CACHE.entries()]) {
+      const chainCredential = lookup(chainState.credentials, credentialId);
+      if (chainCredential === undefined) continue;
+      
+      if (chainCredential === null) {
+        GLOBAL_CREDENTIAL_CACHE.delete(credentialId);
+        this.entities.credentials.delete(credentialId);
+        corrections.removedCredentials++;
+      } else if (chainCredential.status !== record.status) {
+        record.status = chainCredential.status;
+        record.lifecycleIndex = this._lifecycleIndexForStatus(chainCredential.status, record.lifecycleIndex);
+        corrections.credentials++;
+      }
+    }
+    
+    // Adopt credentials found by event replay whose issuer this worker manages
+    const knownAddresses = new Set([...accounts].map(address => address.toLowerCase()));
+    for (const [credentialId, chainCredential] of chainState.credentials.entries()) {
+      if (!chainCredential || !chainCredential.issuer || GLOBAL_CREDENTIAL_CACHE.has(credentialId)) continue;
+      if (!knownAddresses.has(chainCredential.issuer.toLowerCase())) continue;
+      
+      GLOBAL_CREDENTIAL_CACHE.set(credentialId, {
+        holder: chainCredential.holder,
+        issuer: chainCredential.issuer,
+        credentialCid: chainCredential.credentialCid,
+        status: chainCredential.status,
+        lifecycleIndex: this._lifecycleIndexForStatus(chainCredential.status),
+        reconciled: true
+      });
+      corrections.credentials++;
+    }
+    
+    console.log(`🔄 Reconciled SSI state with chain for worker ${this.workerIndex}: ${corrections.roles} roles, ${corrections.dids} DIDs, ${corrections.credentials} credentials corrected, ${corrections.removedCredentials} unknown credentials dropped`);
+    return corrections;
+  }
+  
+  /**
+   * Map an on-chain credential status to its position in CREDENTIAL_LIFECYCLE
+   * @param {number} status - Credential status
+   * @param {number} currentIndex - Local lifecycle index, kept when it already matches the status
+   * @returns {number} Lifecycle index
+   * @private
+   */
+  _lifecycleIndexForStatus(status, currentIndex = 0) {
+    if (CREDENTIAL_LIFECYCLE[currentIndex] === status) return currentIndex;
+    const index = CREDENTIAL_LIFECYCLE.indexOf(status);
+    // NONE or unknown statuses cannot be transitioned further
+    return index === -1 ? CREDENTIAL_LIFECYCLE.length - 1 : index;
+  }
+  
+  // === CROSS-WORKER COORDINATION ===
+  
+  /**
+   * Attach the coordinator shared with the other workers of the round
+   * Without one, claims always succeed and every keyed account is sendable, as in single-worker runs
+   * @param {Object|null} coordinator - SSICoordinator from getCoordinator
+   */
+  setCoordinator(coordinator) {
+    this.coordinator = coordinator;
+  }
+  
+  /**
+   * Claim an entity so no other worker sends a conflicting transaction for it
+   * @param {string} kind - One of CLAIM_KINDS
+   * @param {string} key - Address, credential ID or transition key
+   * @returns {boolean} True if this worker may use the entity
+   * @private
+   */
+  _claim(kind, key) {
+    return !this.coordinator || this.coordinator.claim(kind, key);
+  }
+  
+  /**
+   * Pick a random candidate this worker can claim, dropping candidates claimed by other workers
+   * Draws exactly like random.pick when the first candidate is claimed, so uncoordinated seeded runs
+   * keep their arguments
+   * @param {string} kind - One of CLAIM_KINDS
+   * @param {Array<string>} candidates - Candidate addresses
+   * @returns {string|null} Claimed candidate, or null if every candidate is taken
+   * @private
+   */
+  _pickClaimed(kind, candidates) {
+    const remaining = [...candidates];
+    while (remaining.length > 0) {
+      const index = this.random.int(remaining.length);
+      if (this._claim(kind, remaining[index])) return remaining[index];
+      remaining.splice(index, 1);
+    }
+    return null;
+  }
+  
+  /**
+   * Check whether this worker may send transactions from an account
+   * Generated accounts are only keyed in the worker that created them. Network config accounts are
+   * keyed in every worker, so each belongs to one worker to keep its nonces in a single hand.
+   * Accounts learned from other workers have no key and are never sendable. When funding ran,
+   * keyed accounts it did not cover are skipped, since they may not be able to pay for gas.
+   * @param {string} address - Ethereum address
+   * @returns {boolean} True if this worker may send from the account
+   */
+  canSendAs(address) {
+    if (!address || (!this.coordinator && !this.fundedSenders)) return true;
+    
+    const accountData = this.predefinedAccounts.get(address) || GLOBAL_ACCOUNT_CACHE.get(address);
+    // The deployer without a key is the connector account of the worker
+    if (!accountData?.privateKey) return !this.coordinator || address.toLowerCase() === DEPLOYER_ADDRESS_LOWER;
+    if (this.fundedSenders && !this.fundedSenders.has(address.toLowerCase())) return false;
+    if (!this.coordinator || accountData.source === 'generated') return true;
+    
+    return this.coordinator.ownsSender(address);
+  }
+  
+  /**
+   * Look up a credential known to this worker, issued or with its issuance still in flight
+   * @param {string} credentialId - Credential ID
+   * @returns {Object|null} { holder, issuer, credentialCid, status, lifecycleIndex } ({ holder, issuer,
+   *   credentialCid } while in flight) or null if unknown
+   */
+  getCredentialRecord(credentialId) {
+    return GLOBAL_CREDENTIAL_CACHE.get(credentialId) || this.pendingCredentials.get(credentialId) || null;
+  }
+  
+  /**
+   * Get or create the local records of an account confirmed by another worker
+   * @param {string} address - Ethereum address
+   * @param {number} worker - Index of the worker that confirmed it
+   * @returns {Array<Object>} Account data in predefinedAccounts and the Global Account Cache
+   * @private
+   */
+  _getCoordinatedAccountRecords(address, worker) {
+    const records = [this.predefinedAccounts.get(address), GLOBAL_ACCOUNT_CACHE.get(address)].filter(Boolean);
+    if (records.length > 0) return records;
+    
+    // Foreign accounts come without a key: they can hold roles, DIDs and credentials but never send
+    const accountData = {
+      role: SSI_ROLES.NONE,
+      name: `Worker ${worker} account ${address.substring(0, 10)}...`,
+      used: false,
+      source: 'coordinated',
+      owner: worker,
+      needsRoleAssignment: false
+    };
+    this.predefinedAccounts.set(address, accountData);
+    GLOBAL_ACCOUNT_CACHE.set(address, accountData);
+    return [accountData];
+  }
+  
+  /**
+   * Replay roles, DIDs and credentials other workers confirmed on chain
+   * @param {Array<Object>} entries - Journal entries from SSICoordinator.pull
+   * @returns {number} Number of entries applied
+   */
+  applyCoordinationEntries(entries) {
+    let applied = 0;
+    
+    for (const entry of entries) {
+      switch (entry.type) {
+        case 'role':
+          this._getCoordinatedAccountRecords(entry.account, entry.worker).forEach(record => {
+            record.role = entry.role;
+            record.needsRoleAssignment = false;
+          });
+          this.entities.roles.set(entry.account, { role: entry.role, coordinated: true });
+          break;
+        case 'did':
+          this._getCoordinatedAccountRecords(entry.identity, entry.worker).forEach(record => { record.hasDid = true; });
+          if (!this.entities.dids.has(entry.identity)) {
+            this.entities.dids.set(entry.identity, { createdAt: Date.now(), coordinated: true });
+          }
+          break;
+        case 'didDeactivated':
+          this._getCoordinatedAccountRecords(entry.identity, entry.worker);
+          this._markDidDeactivated(entry.identity);
+          break;
+        case 'credential':
+          if (!GLOBAL_CREDENTIAL_CACHE.has(entry.credentialId)) {
+            GLOBAL_CREDENTIAL_CACHE.set(entry.credentialId, {
+              holder: entry.holder,
+              issuer: entry.issuer,
+              credentialCid: entry.credentialCid,
+              status: CREDENTIAL_STATUS.ACTIVE,
+              lifecycleIndex: 0,
+              coordinated: true
+            });
+          }
+          break;
+        case 'credentialStatus': {
+          const record = GLOBAL_CREDENTIAL_CACHE.get(entry.credentialId);
+          // Every (previous, new) pair occurs once in the lifecycle, so it pins the index reached
+          const lifecycleIndex = CREDENTIAL_LIFECYCLE.findIndex((status, index) =>
+            index > 0 && CREDENTIAL_LIFECYCLE[index - 1] === entry.previousStatus && status === entry.newStatus);
+          if (!record || lifecycleIndex <= record.lifecycleIndex) break;
+          
+          // Move the credential to the back of the update queue, as a local transition does
+          GLOBAL_CREDENTIAL_CACHE.delete(entry.credentialId);
+          GLOBAL_CREDENTIAL_CACHE.set(entry.credentialId, { ...record, status: entry.newStatus, lifecycleIndex });
+          break;
+        }
+        default:
+          continue;
+      }
+      applied++;
+    }
+    
+    return applied;
+  }
+  
   /**
    * Load network configuration using Caliper's ConfigUtil
    * @returns {Object} Network configuration
@@ -178,6 +640,11 @@ class SimplifiedSSIStateManager {
       const configAccounts = networkConfig.ethereum.accounts;
       console.log(`✅ Found ${configAccounts.length} pre-funded accounts in Caliper network config`);
       
+      // A population spec replaces the index-based role assignments below
+      if (this.config.population) {
+        return this._initializePopulationAccounts(configAccounts);
+      }
+      
       // Create account map with role assignments
       const accounts = new Map();
       
@@ -273,6 +740,54 @@ class SimplifiedSSIStateManager {
     }
   }
   
+  /**
+   * Assign network config accounts to the slots of the population spec
+   * The deployer takes the first trustee slot and the other accounts follow in config order;
+   * accounts beyond the population size are left out. Roles (other than the deployer's) and DIDs
+   * are not assumed: they come from the snapshot, on-chain reconciliation or the seeding round.
+   * @param {Array<Object>} configAccounts - Accounts from the Caliper network configuration
+   * @returns {Map} Map of predefined accounts
+   * @private
+   */
+  _initializePopulationAccounts(configAccounts) {
+    const slots = buildPopulationSlots(this.config.population);
+    const isDeployer = address => address.toLowerCase() === DEPLOYER_ADDRESS_LOWER;
+    const orderedAccounts = [
+      ...configAccounts.filter(accountConfig => isDeployer(accountConfig.address)),
+      ...configAccounts.filter(accountConfig => !isDeployer(accountConfig.address))
+    ];
+    
+    const accounts = new Map();
+    orderedAccounts.slice(0, slots.length).forEach((accountConfig, index) => {
+      const slot = slots[index];
+      const role = POPULATION_GROUP_ROLES[slot.group];
+      const address = accountConfig.address;
+      const cachedData = GLOBAL_ACCOUNT_CACHE.get(address);
+      const roleConfirmed = isDeployer(address) ||
+        Boolean(cachedData && cachedData.role === role && !cachedData.needsRoleAssignment);
+      
+      const accountData = {
+        role,
+        name: isDeployer(address) ? 'Deployer (Trustee)' : `Population ${ROLE_NAMES.get(role)} ${slot.index + 1}`,
+        used: false,
+        source: 'caliper-config',
+        populationSlot: slot.id,
+        needsRoleAssignment: !roleConfirmed,
+        privateKey: accountConfig.privateKey
+      };
+      accounts.set(address, accountData);
+      this._updateGlobalAccountCache(address, accountData, Boolean(cachedData && cachedData.hasDid));
+      console.log(`🔹 Assigned population slot ${slot.id} to: ${address.substring(0, 10)}...`);
+    });
+    
+    const { trustees, issuers, holders, withDids, credentialsPerHolder } = this.config.population;
+    console.log(`🌱 Population: ${trustees} trustees, ${issuers} issuers, ${holders} holders, ${withDids} DIDs, ` +
+      `${credentialsPerHolder} credentials per holder (${accounts.size} slots from network config, ` +
+      `${slots.length - accounts.size} generated by the seeding round, ${orderedAccounts.length - accounts.size} config accounts unused)`);
+    
+    return accounts;
+  }
+  
   /**
    * Get default predefined accounts as fallback when network config is unavailable
    * @returns {Map} Map of predefined accounts
@@ -350,20 +865,152 @@ class SimplifiedSSIStateManager {
   }
   
   /**
-   * Generate a random Ethereum address
-   * Uses crypto.randomBytes to create truly random addresses
-   * @returns {string} Ethereum address
+   * Generate a random Ethereum account (private key and derived address)
+   * Keys come from the worker's random source, so seeded runs generate the same accounts
+   * @returns {Object} Account with address and privateKey
    * @private
    */
-  _generateRandomAddress() {
+  _generateRandomAccount() {
     // Generate a secure random private key and derive a valid EOA address (EIP-55 checksummed)
     // Ensures uniform distribution across the full address space
     let pk;
     do {
-      pk = crypto.randomBytes(32);
+      pk = this.random.bytes(32);
     } while (pk.equals(Buffer.alloc(32, 0))); // avoid zero key
     const privateKey = '0x' + pk.toString('hex');
-    return ethers.computeAddress(privateKey);
+    return {
+      address: ethers.computeAddress(privateKey),
+      privateKey
+    };
+  }
+  
+  /**
+   * List keyed identities that may sign their own transactions in this worker and therefore need ETH for gas
+   * Issuers and trustees come first, then other owners of an active DID. Network config accounts are
+   * only listed by the worker that owns them, generated accounts only by the worker that created them
+   * @param {string} funderAddress - Address sending the top-ups (excluded from the list)
+   * @param {number} totalWorkers - Number of workers in the round
+   * @param {number} maxIdentities - Maximum number of identities to list
+   * @returns {Array<string>} Addresses with a known private key
+   */
+  getFundingTargets(funderAddress, totalWorkers, maxIdentities) {
+    const funderLower = funderAddress ? funderAddress.toLowerCase() : null;
+    const signers = new Map();
+    const didOwners = new Map();
+    
+    for (const source of [this.predefinedAccounts, GLOBAL_ACCOUNT_CACHE]) {
+      for (const [address, accountData] of source.entries()) {
+        if (!accountData?.privateKey || accountData.source === 'caliper-fallback' || accountData.needsRoleAssignment) continue;
+        const addressLower = address.toLowerCase();
+        if (addressLower === funderLower || signers.has(addressLower) || didOwners.has(addressLower)) continue;
+        if (accountData.source !== 'generated' && !ownsAccount(address, this.workerIndex, totalWorkers)) continue;
+        if (!this._addressHasDid(address) || this._isDidDeactivated(address)) continue;
+        
+        const isIssuer = accountData.role === SSI_ROLES.ISSUER || accountData.role === SSI_ROLES.TRUSTEE;
+        (isIssuer ? signers : didOwners).set(addressLower, address);
+      }
+    }
+    
+    const byAddress = (a, b) => a.toLowerCase().localeCompare(b.toLowerCase());
+    return [...[...signers.values()].sort(byAddress), ...[...didOwners.values()].sort(byAddress)].slice(0, maxIdentities);
+  }
+  
+  /**
+   * Restrict the keyed accounts this worker sends from to the ones funding checked or topped up
+   * @param {Array<string>|null} addresses - Funded addresses, or null to lift the restriction
+   */
+  setFundedSenders(addresses) {
+    this.fundedSenders = addresses ? new Set(addresses.map(address => address.toLowerCase())) : null;
+  }
+  
+  /**
+   * List accounts with a known private key whose role is confirmed
+   * @param {number} role - Role type
+   * @returns {Array<Object>} { address, privateKey } per account
+   */
+  getKeyedAccountsWithRole(role) {
+    const accounts = new Map();
+    
+    for (const source of [this.predefinedAccounts, GLOBAL_ACCOUNT_CACHE]) {
+      for (const [address, accountData] of source.entries()) {
+        if (!accountData?.privateKey || accountData.source === 'caliper-fallback') continue;
+        if (accountData.role !== role || accountData.needsRoleAssignment) continue;
+        accounts.set(address.toLowerCase(), { address, privateKey: accountData.privateKey });
+      }
+    }
+    
+    return [...accounts.values()];
+  }
+  
+  /**
+   * Pick representative, non-mutating inputs for estimating the gas of each SSI operation
+   * Nothing is marked as used or pending: the fixtures only feed eth_estimateGas
+   * @returns {Object} { freshAccount, issuer, holder, didOwner, roleHolder, credential, docHash, docCid, credentialId }
+   *   where missing fixtures are null
+   */
+  getCalibrationFixtures() {
+    const accounts = new Map([...this.predefinedAccounts, ...GLOBAL_ACCOUNT_CACHE]);
+    const hasActiveDid = address => this._addressHasDid(address) && !this._isDidDeactivated(address);
+    const find = (predicate) => {
+      for (const [address, data] of accounts.entries()) {
+        if (data && !data.needsRoleAssignment && predicate(address, data)) {
+          return { address, role: data.role, privateKey: data.privateKey || null };
+        }
+      }
+      return null;
+    };
+
+    const issuer = find((address, data) => data.role === SSI_ROLES.ISSUER && hasActiveDid(address));
+    const holder = find((address, data) => data.role === SSI_ROLES.HOLDER && hasActiveDid(address) &&
+      (!issuer || address.toLowerCase() !== issuer.address.toLowerCase()));
+
+    let credential = null;
+    for (const [credentialId, record] of GLOBAL_CREDENTIAL_CACHE.entries()) {
+      if (record.lifecycleIndex >= CREDENTIAL_LIFECYCLE.length - 1 || this._isDidDeactivated(record.issuer)) continue;
+      credential = {
+        credentialId,
+        issuer: record.issuer,
+        previousStatus: CREDENTIAL_LIFECYCLE[record.lifecycleIndex],
+        newStatus: CREDENTIAL_LIFECYCLE[record.lifecycleIndex + 1]
+      };
+      break;
+    }
+
+    return {
+      freshAccount: this._generateRandomAccount(),
+      issuer,
+      holder,
+      didOwner: find((address, data) => data.role !== SSI_ROLES.NONE && data.privateKey &&
+        address.toLowerCase() !== DEPLOYER_ADDRESS_LOWER && hasActiveDid(address)),
+      roleHolder: find((address, data) => data.role === SSI_ROLES.HOLDER && address.toLowerCase() !== DEPLOYER_ADDRESS_LOWER),
+      credential,
+      docHash: this._generateRandomHash('calibration-doc'),
+      docCid: this._generateRandomCid(),
+      credentialId: this._generateRandomHash('calibration-credential')
+    };
+  }
+
+  /**
+   * Look up the private key of a known account
+   * @param {string} address - Ethereum address
+   * @returns {string|null} Private key or null if the key is not known
+   */
+  getPrivateKey(address) {
+    if (!address) return null;
+    
+    const addressLower = address.toLowerCase();
+    for (const source of [this.predefinedAccounts, GLOBAL_ACCOUNT_CACHE]) {
+      const accountData = source.get(address);
+      if (accountData?.privateKey) return accountData.privateKey;
+      
+      for (const [candidate, data] of source.entries()) {
+        if (candidate.toLowerCase() === addressLower && data?.privateKey) {
+          return data.privateKey;
+        }
+      }
+    }
+    
+    return null;
   }
   
   /**
@@ -374,15 +1021,19 @@ class SimplifiedSSIStateManager {
    */
   _generateRandomHash(prefix = '') {
     // Build a high-entropy buffer: 64 random bytes + worker prefix + hi-res time + optional prefix
-    const rndA = crypto.randomBytes(32);
-    const rndB = crypto.randomBytes(32);
+    const rndA = this.random.bytes(32);
+    const rndB = this.random.bytes(32);
     const wp = this.workerPrefix ? Buffer.from(String(this.workerPrefix), 'utf8') : Buffer.alloc(0);
-    const nowMs = Buffer.from(String(Date.now()), 'utf8');
+    let nowMs = Buffer.alloc(0);
     let hr = Buffer.alloc(0);
-    try {
-      hr = Buffer.from(process.hrtime.bigint().toString(), 'utf8');
-    } catch (_) {
-      // ignore if not available
+    // Seeded runs leave out the clock so the same seed yields the same hashes
+    if (!this.random.seeded) {
+      nowMs = Buffer.from(String(Date.now()), 'utf8');
+      try {
+        hr = Buffer.from(process.hrtime.bigint().toString(), 'utf8');
+      } catch (_) {
+        // ignore if not available
+      }
     }
     const pfx = prefix ? Buffer.from(String(prefix), 'utf8') : Buffer.alloc(0);
     const entropy = Buffer.concat([rndA, rndB, wp, nowMs, hr, pfx]);
@@ -424,7 +1075,7 @@ class SimplifiedSSIStateManager {
     // Generate CIDv1 for dag-pb with sha2-256 multihash, base32 (lowercase) without padding.
     // Bytes layout: [version=0x01, codec=0x70 (dag-pb), mh_code=0x12 (sha2-256), mh_len=0x20 (32)] + 32-byte digest
     const prefix = Buffer.from([0x01, 0x70, 0x12, 0x20]);
-    const digest = crypto.randomBytes(32);
+    const digest = this.random.bytes(32);
     const cidBytes = Buffer.concat([prefix, digest]); // 36 bytes total
     const base32Body = this._base32Encode(cidBytes);  // 58 chars
     const cid = `b${base32Body}`; // multibase prefix 'b' -> total 59 chars
@@ -442,7 +1093,7 @@ class SimplifiedSSIStateManager {
    */
   _getRandomRoleType() {
     const roles = [SSI_ROLES.ISSUER, SSI_ROLES.HOLDER, SSI_ROLES.TRUSTEE];
-    return roles[Math.floor(Math.random() * roles.length)];
+    return this.random.pick(roles);
   }
   
   /**
@@ -475,6 +1126,11 @@ class SimplifiedSSIStateManager {
       // Track DID status in the account data
       accountCopy.hasDid = hasDid;
       
+      // Deactivation is permanent on-chain, so never drop it when the entry is rewritten
+      if (existingData?.didDeactivated) {
+        accountCopy.didDeactivated = true;
+      }
+      
       // Add to global cache
       GLOBAL_ACCOUNT_CACHE.set(address, accountCopy);
       
@@ -516,6 +1172,55 @@ class SimplifiedSSIStateManager {
     return false;
   }
   
+  /**
+   * Check if the DID of an address has been deactivated
+   * @param {string} address - Ethereum address to check
+   * @returns {boolean} True if the DID was deactivated, false otherwise
+   * @private
+   */
+  _isDidDeactivated(address) {
+    if (!address) return false;
+    
+    const addressLower = address.toLowerCase();
+    
+    const didRecord = this.entities.dids.get(address) || this.entities.dids.get(addressLower);
+    if (didRecord && didRecord.deactivated) {
+      return true;
+    }
+    
+    const cachedData = GLOBAL_ACCOUNT_CACHE.get(address) || GLOBAL_ACCOUNT_CACHE.get(addressLower);
+    return Boolean(cachedData && cachedData.didDeactivated);
+  }
+  
+  /**
+   * Mark an identity or credential ID as having a transaction in flight
+   * Pending entities are skipped by argument selection until cleared
+   * @param {string} key - Address or credential ID
+   */
+  markPending(key) {
+    if (key) this.pendingEntities.add(key.toLowerCase());
+  }
+  
+  /**
+   * Clear the in-flight marker of an identity or credential ID
+   * @param {string} key - Address or credential ID
+   */
+  clearPending(key) {
+    if (!key) return;
+    this.pendingEntities.delete(key.toLowerCase());
+    this.pendingCredentials.delete(key);
+  }
+  
+  /**
+   * Check if an identity or credential ID has a transaction in flight
+   * @param {string} key - Address or credential ID
+   * @returns {boolean} True if pending, false otherwise
+   * @private
+   */
+  _isPending(key) {
+    return this.pendingEntities.size > 0 && Boolean(key) && this.pendingEntities.has(key.toLowerCase());
+  }
+  
   /**
    * Ensure DEPLOYER_ADDRESS has a DID registered
    * Eliminates duplicate DID registration code
@@ -599,10 +1304,15 @@ class SimplifiedSSIStateManager {
    * @private
    */
   _getPredefinedAccountWithRole(role, markAsUsed = true) {
+    // Network config accounts are shared by all workers, so a role is only assigned by the worker claiming it;
+    // accounts learned from other workers already got theirs
+    const available = (address, account) => account.source !== 'coordinated' &&
+      (!markAsUsed || (!account.used && this._claim(CLAIM_KINDS.ROLE, address)));
+    
     // If requesting a TRUSTEE role, prioritize the deployer address if available
     if (role === SSI_ROLES.TRUSTEE) {
       for (const [address, account] of this.predefinedAccounts.entries()) {
-        if (address.toLowerCase() === DEPLOYER_ADDRESS_LOWER && (!account.used || !markAsUsed)) {
+        if (address.toLowerCase() === DEPLOYER_ADDRESS_LOWER && available(address, account)) {
           // Mark as used if requested
           if (markAsUsed) {
             account.used = true;
@@ -615,7 +1325,7 @@ class SimplifiedSSIStateManager {
     
     // Find unused account with matching role (or any account with that role if not marking as used)
     for (const [address, account] of this.predefinedAccounts.entries()) {
-      if (account.role === role && (!account.used || !markAsUsed)) {
+      if (account.role === role && available(address, account)) {
         // Mark as used if requested
         if (markAsUsed) {
           account.used = true;
@@ -730,8 +1440,9 @@ class SimplifiedSSIStateManager {
       };
     }
     
-    // Generate random address if no predefined account available
-    const address = this._generateRandomAddress();
+    // Generate a random account if no predefined account available
+    // The private key is kept so the account can later sign its own owner-only transactions
+    const { address, privateKey } = this._generateRandomAccount();
     
     // Store in roles map with timestamp
     this.entities.roles.set(address, {
@@ -745,7 +1456,8 @@ class SimplifiedSSIStateManager {
       name: `Generated ${ROLE_NAMES.get(targetRole) || 'UNKNOWN'} ${this.counters[SSI_ENTITY_TYPES.ROLE] + 1}`,
       used: markAsUsed,
       source: 'generated',
-      needsRoleAssignment: true // Mark that this account needs on-chain role assignment
+      needsRoleAssignment: true, // Mark that this account needs on-chain role assignment
+      privateKey
     };
     this.predefinedAccounts.set(address, generatedAccount);
     
@@ -776,7 +1488,10 @@ class SimplifiedSSIStateManager {
     
     // PRIORITY 0: Always process DEPLOYER_ADDRESS first for DID creation (unless already processed)
     // This ensures the deployer gets a DID registered on-chain before other operations
-    const deployerDidArgs = this._ensureDeployerHasDid('initial-deployer-setup');
+    // (only one worker claims it; the others learn about the DID once it is confirmed)
+    const deployerDidArgs = !this._addressHasDid(DEPLOYER_ADDRESS) && this._claim(CLAIM_KINDS.DID, DEPLOYER_ADDRESS)
+      ? this._ensureDeployerHasDid('initial-deployer-setup')
+      : null;
     if (deployerDidArgs) {
       return deployerDidArgs;
     }
@@ -800,32 +1515,35 @@ class SimplifiedSSIStateManager {
       });
     }
     
-    let identity;
+    // Prioritize accounts that have been assigned roles but don't have DIDs yet
+    // Identities claimed by another worker or with a createDid in flight are skipped
+    let identity = this._pickClaimed(CLAIM_KINDS.DID, accountsWithRolesNeedingDids.filter(address => !this._isPending(address)));
     
-    if (accountsWithRolesNeedingDids.length > 0) {
-      // Prioritize accounts that have been assigned roles but don't have DIDs yet
-      identity = accountsWithRolesNeedingDids[Math.floor(Math.random() * accountsWithRolesNeedingDids.length)];
-    } else {
+    if (!identity) {
       // FALLBACK: Look for other available accounts (excluding fallback sources)
       const availableAddresses = [];
       for (const [address, data] of GLOBAL_ACCOUNT_CACHE.entries()) {
         if (!data || data.source === 'caliper-fallback') continue;
-        // Identity for DID creation must NOT already have a DID
-        if (this._addressHasDid(address)) continue;
+        // Identity for DID creation must NOT already have a DID (or one in flight)
+        if (this._addressHasDid(address) || this._isPending(address)) continue;
         availableAddresses.push(address);
       }
       
-      if (availableAddresses.length > 0) {
-        identity = availableAddresses[Math.floor(Math.random() * availableAddresses.length)];
+      identity = this._pickClaimed(CLAIM_KINDS.DID, availableAddresses);
+      if (identity) {
+        this.selectionStats.fallbackDidIdentities++;
       } else {
-        // Last resort: generate a new address
-        identity = this._generateRandomAddress();
+        this.selectionStats.generatedDidIdentities++;
+        // Last resort: generate a new account (keeping its key for owner-only operations)
+        const generated = this._generateRandomAccount();
+        identity = generated.address;
         const generatedAccount = {
           role: SSI_ROLES.HOLDER,
           name: `Generated DID Document ${this.counters[SSI_ENTITY_TYPES.DID] + 1}`,
           used: false,
           source: 'generated',
-          needsRoleAssignment: true
+          needsRoleAssignment: true,
+          privateKey: generated.privateKey
         };
         this.predefinedAccounts.set(identity, generatedAccount);
         this._updateGlobalAccountCache(identity, generatedAccount);
@@ -841,19 +1559,8 @@ class SimplifiedSSIStateManager {
     const docHash = this._generateRandomHash('did-doc');
     const docCid = this._generateRandomCid();
 
-    // Store in DIDs map
-    this.entities.dids.set(identity, {
-      docHash,
-      docCid,
-      createdAt: Date.now()
-    });
-    
-    // CRITICAL: Update the global account cache to track this address as having a DID
-    // This ensures the DID status persists between benchmark rounds
-    const predefinedAccountData = this.predefinedAccounts.get(identity);
-    if (predefinedAccountData) {
-      this._updateGlobalAccountCache(identity, predefinedAccountData, true); // true = has DID
-    }
+    // The DID is only recorded by confirmDIDCreation; until then no other operation treats the identity as a DID holder
+    this.markPending(identity);
     
     // Log successful DID setup for better traceability (only in debug mode)
     if (this.debugMode) {
@@ -872,35 +1579,274 @@ class SimplifiedSSIStateManager {
       docCid
     };
   }
+
+  /**
+   * Record a confirmed DID creation and release the identity for further selection
+   * The Global Account Cache keeps the DID between benchmark rounds
+   * @param {Object} didArgs - Arguments returned by getDIDCreationArguments or getSignedDIDCreationArguments
+   */
+  confirmDIDCreation(didArgs) {
+    this.entities.dids.set(didArgs.identity, {
+      docHash: didArgs.docHash,
+      docCid: didArgs.docCid,
+      createdAt: Date.now(),
+      ...(didArgs.privateKey ? { signed: true } : {})
+    });
+    
+    const accountData = this.predefinedAccounts.get(didArgs.identity);
+    if (accountData) {
+      this._updateGlobalAccountCache(didArgs.identity, accountData, true); // true = has DID
+    }
+    this.clearPending(didArgs.identity);
+  }
+
+  /**
+   * Get arguments for signed (relayed) DID creation
+   * Generates a fresh identity whose private key is kept so it can sign the createDid payload;
+   * the DID is recorded by confirmDIDCreation once the transaction is confirmed
+   * @returns {Promise<Object>} Signed DID creation arguments including the identity's private key
+   */
+  async getSignedDIDCreationArguments() {
+    // Ensure accounts are loaded before proceeding
+    await this.waitForAccountsLoaded();
+    
+    // A fresh identity never collides with an existing DID (DidAlreadyExist)
+    const { address: identity, privateKey } = this._generateRandomAccount();
+    
+    const generatedAccount = {
+      role: SSI_ROLES.HOLDER,
+      name: `Generated Signed DID ${this.counters[SSI_ENTITY_TYPES.DID] + 1}`,
+      used: false,
+      source: 'generated',
+      needsRoleAssignment: true,
+      privateKey
+    };
+    this.predefinedAccounts.set(identity, generatedAccount);
+    
+    const docHash = this._generateRandomHash('did-doc-signed');
+    const docCid = this._generateRandomCid();
+    this.markPending(identity);
+    
+    this.counters[SSI_ENTITY_TYPES.DID]++;
+    
+    return {
+      identity,
+      docHash,
+      docCid,
+      privateKey   // Used off-chain only, never sent to the contract
+    };
+  }
+  
+  /**
+   * Collect addresses that already have an active DID registered
+   * Merges local DID tracking with the Global Account Cache (excluding fallback sources)
+   * @returns {Array<string>} Addresses with active DIDs
+   * @private
+   */
+  _getAccountsWithDids() {
+    const seen = new Set();
+    const accountsWithDids = [];
+
+    const addCandidate = (address) => {
+      const addressLower = address.toLowerCase();
+      if (seen.has(addressLower)) return;
+      seen.add(addressLower);
+      if (this._isDidDeactivated(address)) return;
+      if (this._isPending(address)) return;
+      accountsWithDids.push(address);
+    };
+
+    for (const address of this.entities.dids.keys()) {
+      const data = GLOBAL_ACCOUNT_CACHE.get(address) || this.predefinedAccounts.get(address);
+      if (data && data.source === 'caliper-fallback') continue;
+      addCandidate(address);
+    }
+
+    for (const [address, data] of GLOBAL_ACCOUNT_CACHE.entries()) {
+      if (!data || data.source === 'caliper-fallback') continue;
+      if (!data.hasDid) continue;
+      addCandidate(address);
+    }
+
+    return accountsWithDids;
+  }
+
+  /**
+   * Check whether this worker can send an owner-only operation (msg.sender == identity) for an identity
+   * Only identities whose key is known to this worker qualify, or the deployer, which is the connector
+   * account; anything else would be sent from the worker account and revert with NotIdentityOwner
+   * @param {string} address - Ethereum address of the identity
+   * @returns {boolean} True if the identity can send its own transaction from this worker
+   * @private
+   */
+  _canSendAsOwner(address) {
+    if (!this.canSendAs(address)) return false;
+    if (address.toLowerCase() === DEPLOYER_ADDRESS_LOWER) return true;
+    
+    const accountData = this.predefinedAccounts.get(address) || GLOBAL_ACCOUNT_CACHE.get(address);
+    return this.config.identitySigning !== false && Boolean(accountData?.privateKey);
+  }
+
+  /**
+   * Get arguments for DID update
+   * Picks an identity whose DID was already created and generates a new document hash and CID.
+   * The identity stays pending until confirmDIDUpdate or clearPending, so no second update is
+   * built from a document that may never reach the chain
+   * @returns {Promise<Object>} DID update arguments
+   */
+  async getDIDUpdateArguments() {
+    // Ensure accounts are loaded before proceeding
+    await this.waitForAccountsLoaded();
+
+    // updateDid is owner-only: owners keyed in other workers are updated by those workers
+    const accountsWithDids = this._getAccountsWithDids().filter(address => this._canSendAsOwner(address));
+
+    if (accountsWithDids.length === 0) {
+      throw new Error('No accounts with DIDs available for DID update. Run a DID creation round first.');
+    }
+
+    // The selected identity is also the transaction sender
+    const identity = this.holderSelectors.didUpdates.select(accountsWithDids);
+    this.markPending(identity);
+
+    // Read the current document record (placeholder entries from the cache have no hash yet)
+    const currentRecord = this.entities.dids.get(identity) || {};
+
+    // Generate the new document hash and CID
+    const docHash = this._generateRandomHash('did-doc-update');
+    const docCid = this._generateRandomCid();
+
+    if (this.debugMode) {
+      console.log(`✅ Successfully prepared DID update:
+    - Identity: ${identity.substring(0, 10)}...
+    - Previous Hash: ${currentRecord.docHash ? currentRecord.docHash.substring(0, 10) + '...' : 'unknown'}
+    - New Document Hash: ${docHash.substring(0, 10)}...
+    - New Document CID: ${docCid}`);
+    }
+
+    return {
+      identity,    // The DID owner, which must also send the transaction
+      docHash,
+      docCid
+    };
+  }
+
+  /**
+   * Record a confirmed DID update and release the identity for further selection
+   * @param {Object} didArgs - Arguments returned by getDIDUpdateArguments
+   */
+  confirmDIDUpdate(didArgs) {
+    const currentRecord = this.entities.dids.get(didArgs.identity) || {};
+    this.entities.dids.set(didArgs.identity, {
+      ...currentRecord,
+      docHash: didArgs.docHash,
+      docCid: didArgs.docCid,
+      createdAt: currentRecord.createdAt || Date.now(),
+      updatedAt: Date.now(),
+      updateCount: (currentRecord.updateCount || 0) + 1
+    });
+    this.clearPending(didArgs.identity);
+  }
+
+  /**
+   * Get arguments for DID deactivation
+   * Picks an identity with an active DID and keeps it pending until confirmDIDDeactivation or
+   * clearPending, so it is neither reused nor recorded as deactivated before the chain says so
+   * @returns {Promise<Object>} DID deactivation arguments
+   */
+  async getDIDDeactivationArguments() {
+    // Ensure accounts are loaded before proceeding
+    await this.waitForAccountsLoaded();
+
+    // Never deactivate the deployer: it is the issuer (msg.sender) for credential issuance
+    // deactivateDid is owner-only: the selected identity is also the transaction sender
+    const candidates = this._getAccountsWithDids()
+      .filter(address => address.toLowerCase() !== DEPLOYER_ADDRESS_LOWER && this._canSendAsOwner(address));
+
+    const identity = this._pickClaimed(CLAIM_KINDS.DEACTIVATION, candidates);
+
+    if (!identity) {
+      throw new Error('No accounts with active DIDs available for DID deactivation. Run a DID creation round first.');
+    }
+
+    this.markPending(identity);
+
+    if (this.debugMode) {
+      console.log(`✅ Successfully prepared DID deactivation for identity: ${identity.substring(0, 10)}...`);
+    }
+
+    return {
+      identity    // The DID owner, which must also send the transaction
+    };
+  }
+
+  /**
+   * Record a confirmed DID deactivation so later rounds skip the identity
+   * @param {Object} didArgs - Arguments returned by getDIDDeactivationArguments
+   */
+  confirmDIDDeactivation(didArgs) {
+    this._markDidDeactivated(didArgs.identity);
+    this.clearPending(didArgs.identity);
+  }
+
+  /**
+   * Mark the DID of an address as deactivated in local tracking and the Global Account Cache
+   * @param {string} address - Ethereum address whose DID was deactivated
+   * @private
+   */
+  _markDidDeactivated(address) {
+    const currentRecord = this.entities.dids.get(address) || {};
+    this.entities.dids.set(address, {
+      ...currentRecord,
+      deactivated: true,
+      deactivatedAt: Date.now()
+    });
+
+    const cachedData = GLOBAL_ACCOUNT_CACHE.get(address);
+    if (cachedData) {
+      cachedData.hasDid = true;
+      cachedData.didDeactivated = true;
+    } else {
+      const accountData = this.predefinedAccounts.get(address);
+      if (accountData) {
+        this._updateGlobalAccountCache(address, accountData, true).didDeactivated = true;
+      }
+    }
+
+    const accountData = this.predefinedAccounts.get(address);
+    if (accountData) {
+      accountData.didDeactivated = true;
+    }
+
+    if (!this.deactivatedIdentities) {
+      this.deactivatedIdentities = new Set();
+    }
+    this.deactivatedIdentities.add(address.toLowerCase());
+  }
+
+  // === CREDENTIAL MANAGEMENT ===
   
-  // === CREDENTIAL MANAGEMENT ===
-  
   /**
    * Get arguments for credential issuance
+   * The credential ID stays pending until confirmCredentialIssuance or clearPending, so a credential
+   * is only offered to status updates and resolution once it exists on chain
+   * @param {Object} [options] - Issuance options
+   * @param {boolean} [options.signedByIssuer=false] - Only pick issuers whose private key is known, as they sign the payload
    * @returns {Promise<Object>} Credential issuance arguments
    */
-  async getCredentialIssuanceArguments() {
+  async getCredentialIssuanceArguments(options = {}) {
     // Ensure accounts are loaded before proceeding
     await this.waitForAccountsLoaded();
     
-    // CRITICAL: Ensure DEPLOYER_ADDRESS (issuer) has a DID before credential issuance
-    // The issuer (msg.sender/fromAddress) MUST have a DID to call issueCredential() in the contract
-    const deployerDidArgs = this._ensureDeployerHasDid('pre-credential-issuance-setup');
-    if (deployerDidArgs) {
-      console.log(`🚨 CRITICAL: DEPLOYER_ADDRESS ${DEPLOYER_ADDRESS.substring(0, 10)}... did not have a DID!`);
-      console.log(`🔧 Automatically registered DID for DEPLOYER_ADDRESS before credential issuance...`);
-      console.log(`⚠️ NOTE: This DID registration should be performed on-chain via getDIDCreationArguments() first!`);
-    } else {
-      console.log(`✅ Verified: DEPLOYER_ADDRESS ${DEPLOYER_ADDRESS.substring(0, 10)}... already has a DID registered`);
-    }
+    // The issuer (msg.sender/fromAddress or signer) MUST have an active DID to issue in the contract
+    const issuer = this._selectCredentialIssuer(options.signedByIssuer === true);
     
     // Initialize used identity tracking if not exists
     if (!this.usedHolders) {
       this.usedHolders = new Set();
     }
     
-    // For credential issuance, we only need a HOLDER (identity)
-    // The issuer will be the caller/sender (msg.sender) in the contract
+    // The holder (identity) receives the credential; the issuer is the caller (msg.sender) in the contract
     let identity = null;
     
     console.log(`🔍 Looking for accounts with DIDs for credential issuance from global cache...`);
@@ -920,6 +1866,10 @@ class SimplifiedSSIStateManager {
       // Cache DID check result
       const addressHasDid = this._addressHasDid(address);
       if (!addressHasDid) continue; // must have DID
+      // Deactivated holders would revert with IdentityHasBeenDeactivated
+      if (this._isDidDeactivated(address)) continue;
+      // Skip holders whose DID creation has not been confirmed yet
+      if (this._isPending(address)) continue;
       
       // Categorize: workflow vs other accounts
       if (data.source === 'generated' && 
@@ -952,9 +1902,12 @@ class SimplifiedSSIStateManager {
       });
     }
     
+    // Other distributions pick from every holder with a DID, allowing repeats
+    const preferUnused = this.holderSelectors.credentials.type === HOLDER_DISTRIBUTIONS.UNIQUE;
+    
     // Find a valid identity (holder) that hasn't been used before
     // PRIORITY: Try workflow accounts first
-    let availableHolders = workflowAccountsWithDids.filter(address => {
+    let availableHolders = !preferUnused ? holdersWithDids : workflowAccountsWithDids.filter(address => {
       // Ensure this holder exists in Global Cache (should by construction)
       if (!GLOBAL_ACCOUNT_CACHE.has(address)) return false;
       // Check if it's been used before
@@ -963,7 +1916,7 @@ class SimplifiedSSIStateManager {
     });
     
     // FALLBACK: If no priority accounts available, try other accounts
-    if (availableHolders.length === 0) {
+    if (preferUnused && availableHolders.length === 0) {
       console.log(`⚠️ No unused priority workflow accounts found, trying other accounts with DIDs...`);
       availableHolders = otherHoldersWithDids.filter(address => {
         // Ensure this holder exists in Global Cache (should by construction)
@@ -978,7 +1931,8 @@ class SimplifiedSSIStateManager {
     }
     
     // LAST RESORT: If no available holders, use any holder with DID
-    if (availableHolders.length === 0) {
+    const lastResort = preferUnused && availableHolders.length === 0;
+    if (lastResort) {
       console.log(`⚠️ No unused holders found, using any holder with DID`);
       availableHolders = holdersWithDids;
     }
@@ -988,7 +1942,7 @@ class SimplifiedSSIStateManager {
     }
     
     // Select a holder
-    identity = availableHolders[Math.floor(Math.random() * availableHolders.length)];
+    identity = this.holderSelectors.credentials.select(availableHolders);
     
     // Mark as used
     this.usedHolders.add(identity.toLowerCase());
@@ -996,6 +1950,7 @@ class SimplifiedSSIStateManager {
     // Log the selection with context about whether it's from the workflow (reuse existing Set)
     const isWorkflowAccount = workflowAccountsSet.has(identity);
     const accountData = GLOBAL_ACCOUNT_CACHE.get(identity);
+    this.selectionStats[lastResort ? 'lastResortHolders' : isWorkflowAccount ? 'workflowHolders' : 'fallbackHolders']++;
     
     // Validate that selected account actually has HOLDER role (safety check)
     if (accountData?.role !== SSI_ROLES.HOLDER) {
@@ -1019,15 +1974,13 @@ class SimplifiedSSIStateManager {
     }
     
     // Generate credential ID and CID
+    // (IDs hash the worker prefix and the worker's own random stream, so workers never need to claim them)
     const credentialId = this._generateRandomHash('credential');
     const credentialCid = this._generateRandomCid();
     
-    // Store in credentials map
-    this.entities.credentials.set(credentialId, {
-      holder: identity,
-      credentialCid,
-      issuedAt: Date.now()
-    });
+    // Recorded by confirmCredentialIssuance; until then only the in-flight issuance is known
+    this.markPending(credentialId);
+    this.pendingCredentials.set(credentialId, { holder: identity, issuer, credentialCid });
     
     // Ensure the account is properly saved in the global cache for reuse
     // This step is crucial for maintaining the holder relationship across test rounds
@@ -1037,6 +1990,160 @@ class SimplifiedSSIStateManager {
       this._updateGlobalAccountCache(identity, predefinedAccountData);
     }
     
+    // Log successful credential setup for better traceability
+    const isWorkflowHolderAccount = workflowAccountsSet.has(identity);
+    
+    console.log(`✅ Successfully prepared credential issuance: 
+    - Issuer (fromAddress): ${issuer.substring(0, 10)}... (Has DID: YES ✅)
+    - Holder: ${identity.substring(0, 10)}... (Has DID: ${holderHasDid ? 'YES ✅' : 'NO ❌'}) ${isWorkflowHolderAccount ? '[WORKFLOW ACCOUNT]' : '[FALLBACK ACCOUNT]'}
+    - Credential ID: ${credentialId.substring(0, 10)}...
+    - Credential CID: ${credentialCid}`);
+    
+    console.log(`✅ All prerequisites met: Both issuer and holder have DIDs registered`);
+    
+    // Increment counter
+    this.counters[SSI_ENTITY_TYPES.CREDENTIAL]++;
+    
+    return {
+      identity,     // The holder address that will receive the credential
+      issuer,       // The issuer the transaction must be sent from (msg.sender)
+      credentialId,
+      credentialCid
+    };
+  }
+  
+  /**
+   * Record a confirmed credential issuance and release its credential ID
+   * @param {Object} credentialArgs - Arguments returned by getCredentialIssuanceArguments
+   */
+  confirmCredentialIssuance(credentialArgs) {
+    this._recordCredentialIssuance(
+      credentialArgs.credentialId,
+      credentialArgs.identity,
+      credentialArgs.issuer,
+      credentialArgs.credentialCid,
+      this._addressHasDid(credentialArgs.identity)
+    );
+    this.clearPending(credentialArgs.credentialId);
+  }
+  
+  /**
+   * Summarize how holders and updated DIDs were picked by the configured holderDistribution
+   * @returns {Object} Selector statistics per purpose
+   */
+  getHolderSelectionStatistics() {
+    return {
+      credentials: this.holderSelectors.credentials.getStatistics(),
+      didUpdates: this.holderSelectors.didUpdates.getStatistics()
+    };
+  }
+  
+  /**
+   * Check whether any issuer can sign issueCredentialSigned payloads
+   * @returns {Promise<boolean>} True if an ISSUER or TRUSTEE account with a known key and an active DID exists
+   */
+  async hasSigningCredentialIssuer() {
+    await this.waitForAccountsLoaded();
+    return this._getCredentialIssuers(true).length > 0;
+  }
+  
+  /**
+   * List accounts that can issue credentials: ISSUER or TRUSTEE role with an active DID
+   * Covers network config and generated accounts; the transaction must be sendable, so accounts
+   * need a known private key unless they are the deployer (the connector account). Signing issuers
+   * only sign the payload the worker relays, so they need their own key but no sending rights
+   * @param {boolean} [signing=false] - List issuers able to sign issueCredentialSigned payloads
+   * @returns {Array<string>} Issuer addresses
+   * @private
+   */
+  _getCredentialIssuers(signing = false) {
+    const issuers = new Map();
+    
+    for (const source of [this.predefinedAccounts, GLOBAL_ACCOUNT_CACHE]) {
+      for (const [address, data] of source.entries()) {
+        if (!data || data.source === 'caliper-fallback' || data.needsRoleAssignment) continue;
+        if (data.role !== SSI_ROLES.ISSUER && data.role !== SSI_ROLES.TRUSTEE) continue;
+        
+        const addressLower = address.toLowerCase();
+        if (signing) {
+          if (!data.privateKey) continue;
+        } else {
+          if (!data.privateKey && addressLower !== DEPLOYER_ADDRESS_LOWER) continue;
+          if (!this.canSendAs(address)) continue;
+        }
+        if (!this._addressHasDid(address) || this._isDidDeactivated(address)) continue;
+        // Skip issuers whose DID creation has not been confirmed yet
+        if (this._isPending(address)) continue;
+        
+        issuers.set(addressLower, address);
+      }
+    }
+    
+    return [...issuers.values()];
+  }
+  
+  /**
+   * Pick the issuer of the next credential, rotating across all eligible issuers
+   * Falls back to the deployer (registering its DID locally if needed) when no issuer is eligible
+   * or identity signing is disabled. Signing issuers have no fallback, as the deployer key is not known here
+   * @param {boolean} [signing=false] - Pick an issuer able to sign issueCredentialSigned payloads
+   * @returns {string} Issuer address
+   * @private
+   */
+  _selectCredentialIssuer(signing = false) {
+    // Without identity signing every issuance is sent from the worker account
+    let issuers;
+    if (signing) {
+      issuers = this._getCredentialIssuers(true);
+    } else {
+      issuers = this.config.identitySigning === false ? [] : this._getCredentialIssuers();
+    }
+    
+    if (issuers.length > 0) {
+      const issuer = issuers[(this.issuerCursor || 0) % issuers.length];
+      this.issuerCursor = ((this.issuerCursor || 0) + 1) % issuers.length;
+      return issuer;
+    }
+    
+    if (signing) {
+      throw new Error('SSI workload error: no ISSUER or TRUSTEE account with a known private key and an active DID is available to sign credentials');
+    }
+    
+    this.selectionStats.deployerIssuerFallbacks++;
+    const deployerDidArgs = this._ensureDeployerHasDid('pre-credential-issuance-setup');
+    if (deployerDidArgs) {
+      this.selectionStats.deployerDidSelfHeals++;
+      console.log(`🚨 CRITICAL: DEPLOYER_ADDRESS ${DEPLOYER_ADDRESS.substring(0, 10)}... did not have a DID!`);
+      console.log(`🔧 Automatically registered DID for DEPLOYER_ADDRESS before credential issuance...`);
+      console.log(`⚠️ NOTE: This DID registration should be performed on-chain via getDIDCreationArguments() first!`);
+    }
+    console.log(`⚠️ No ISSUER/TRUSTEE accounts with active DIDs found; issuing from DEPLOYER_ADDRESS`);
+    return DEPLOYER_ADDRESS;
+  }
+  
+  /**
+   * Record an issued credential in local tracking and the global credential cache
+   * @param {string} credentialId - Credential ID (bytes32)
+   * @param {string} holder - Holder address
+   * @param {string} issuer - Issuer address (msg.sender or signer)
+   * @param {string} credentialCid - Credential CID
+   * @param {boolean} holderHasDid - Whether the holder had a DID when the credential was prepared
+   * @private
+   */
+  _recordCredentialIssuance(credentialId, holder, issuer, credentialCid, holderHasDid = true) {
+    const credentialRecord = {
+      holder,
+      issuer,
+      credentialCid,
+      status: CREDENTIAL_STATUS.ACTIVE,
+      lifecycleIndex: 0,
+      issuedAt: Date.now()
+    };
+    this.entities.credentials.set(credentialId, credentialRecord);
+    
+    // Track the credential globally so status update rounds can walk its lifecycle
+    GLOBAL_CREDENTIAL_CACHE.set(credentialId, { ...credentialRecord });
+    
     // Track this credential issuance relationship for potential future use
     // This could be used to validate credential revocation or updates in later rounds
     if (!this.issuedCredentials) {
@@ -1044,54 +2151,429 @@ class SimplifiedSSIStateManager {
     }
     
     this.issuedCredentials.set(credentialId, {
-      holder: identity,
+      holder,
+      issuer,
       timestamp: Date.now(),
       hasDids: {
         holder: holderHasDid
       }
     });
+  }
+  
+  // === ONBOARDING PIPELINE ===
+  
+  /**
+   * Create a fresh identity for the onboarding pipeline (assignRole -> createDid -> issueCredential)
+   * The identity starts without a role or DID; each step is recorded once it is confirmed
+   * @param {number} role - Role to onboard the identity with (default: HOLDER)
+   * @returns {Promise<Object>} Onboarding identity with address and role
+   */
+  async createOnboardingIdentity(role = SSI_ROLES.HOLDER) {
+    await this.waitForAccountsLoaded();
     
-    // Log successful credential setup for better traceability
-    const isWorkflowHolderAccount = workflowAccountsSet.has(identity);
+    const { address, privateKey } = this._generateRandomAccount();
     
-    console.log(`✅ Successfully prepared credential issuance: 
-    - Issuer (Deployer/fromAddress): ${DEPLOYER_ADDRESS.substring(0, 10)}... (Has DID: YES ✅)
-    - Holder: ${identity.substring(0, 10)}... (Has DID: ${holderHasDid ? 'YES ✅' : 'NO ❌'}) ${isWorkflowHolderAccount ? '[WORKFLOW ACCOUNT]' : '[FALLBACK ACCOUNT]'}
-    - Credential ID: ${credentialId.substring(0, 10)}...
-    - Credential CID: ${credentialCid}`);
+    const generatedAccount = {
+      role,
+      name: `Onboarded ${ROLE_NAMES.get(role) || 'UNKNOWN'} ${this.counters[SSI_ENTITY_TYPES.ROLE] + 1}`,
+      used: true,
+      source: 'generated',
+      needsRoleAssignment: true,
+      privateKey
+    };
+    this.predefinedAccounts.set(address, generatedAccount);
+    this._updateGlobalAccountCache(address, generatedAccount);
     
-    console.log(`✅ All prerequisites met: Both issuer and holder have DIDs registered`);
+    // Keep the identity away from other selections until the pipeline finishes
+    this.markPending(address);
     
-    // Increment counter
+    this.counters[SSI_ENTITY_TYPES.ROLE]++;
+    
+    return { address, role };
+  }
+  
+  /**
+   * Record a confirmed role assignment for an onboarding identity
+   * @param {string} address - Onboarded address
+   * @param {number} role - Assigned role
+   */
+  confirmOnboardingRole(address, role) {
+    this.entities.roles.set(address, {
+      role,
+      assignedAt: Date.now()
+    });
+    
+    const accountData = this.predefinedAccounts.get(address);
+    if (accountData) {
+      accountData.needsRoleAssignment = false;
+      const cachedData = this._updateGlobalAccountCache(address, accountData, this._addressHasDid(address));
+      // An unchanged cache entry is reused as is, so clear the flag there as well
+      if (cachedData) cachedData.needsRoleAssignment = false;
+    }
+  }
+  
+  /**
+   * Get DID creation arguments for a specific onboarding identity
+   * @param {string} identity - Onboarded address
+   * @returns {Object} DID creation arguments
+   */
+  getOnboardingDIDArguments(identity) {
+    return {
+      identity,
+      docHash: this._generateRandomHash('did-doc-onboarding'),
+      docCid: this._generateRandomCid()
+    };
+  }
+  
+  /**
+   * Record a confirmed DID creation for an onboarding identity
+   * @param {Object} didArgs - Arguments returned by getOnboardingDIDArguments
+   */
+  confirmOnboardingDID(didArgs) {
+    this.entities.dids.set(didArgs.identity, {
+      docHash: didArgs.docHash,
+      docCid: didArgs.docCid,
+      createdAt: Date.now()
+    });
+    
+    const accountData = this.predefinedAccounts.get(didArgs.identity);
+    if (accountData) {
+      this._updateGlobalAccountCache(didArgs.identity, accountData, true);
+    }
+    
+    this.counters[SSI_ENTITY_TYPES.DID]++;
+  }
+  
+  /**
+   * Get credential issuance arguments for a specific onboarding or seeded holder
+   * The issuer rotates across the ISSUER/TRUSTEE accounts with an active DID and is the sender (fromAddress)
+   * @param {string} holder - Onboarded holder address
+   * @returns {Object} Credential issuance arguments
+   */
+  getOnboardingCredentialArguments(holder) {
+    return {
+      identity: holder,
+      issuer: this._selectCredentialIssuer(),
+      credentialId: this._generateRandomHash('credential-onboarding'),
+      credentialCid: this._generateRandomCid()
+    };
+  }
+  
+  /**
+   * Record a confirmed credential issuance for an onboarding holder
+   * @param {Object} credentialArgs - Arguments returned by getOnboardingCredentialArguments
+   */
+  confirmOnboardingCredential(credentialArgs) {
+    this._recordCredentialIssuance(
+      credentialArgs.credentialId,
+      credentialArgs.identity,
+      credentialArgs.issuer,
+      credentialArgs.credentialCid
+    );
     this.counters[SSI_ENTITY_TYPES.CREDENTIAL]++;
+  }
+  
+  /**
+   * Get arguments for a credential status update
+   * Walks issued credentials through ACTIVE -> SUSPENDED -> ACTIVE -> REVOKED, always picking the
+   * least recently attempted credential so consecutive transitions of the same credential are spread
+   * out. previousStatus is the last confirmed status: the credential stays pending until
+   * confirmCredentialStatusUpdate or clearPending, and its status only changes on confirmation
+   * @returns {Promise<Object>} Credential status update arguments
+   */
+  async getCredentialStatusUpdateArguments() {
+    // Ensure accounts are loaded before proceeding
+    await this.waitForAccountsLoaded();
+    
+    let credentialId = null;
+    let credential = null;
+    
+    for (const [id, record] of GLOBAL_CREDENTIAL_CACHE.entries()) {
+      if (record.lifecycleIndex >= CREDENTIAL_LIFECYCLE.length - 1) continue; // REVOKED is terminal
+      if (this._isDidDeactivated(record.issuer)) continue; // issuer can no longer act
+      if (this._isPending(id)) continue; // previous transition or issuance still in flight
+      if (!this._canSendAsOwner(record.issuer)) continue; // issuer keyed in another worker or without a key
+      // Another worker already sends this transition
+      const transition = statusClaimKey(id, CREDENTIAL_LIFECYCLE[record.lifecycleIndex], CREDENTIAL_LIFECYCLE[record.lifecycleIndex + 1]);
+      if (!this._claim(CLAIM_KINDS.STATUS, transition)) continue;
+      credentialId = id;
+      credential = record;
+      break;
+    }
+    
+    if (!credential) {
+      throw new Error('No issued credentials left to update. Run a credential issuance round first.');
+    }
+    
+    const previousStatus = CREDENTIAL_LIFECYCLE[credential.lifecycleIndex];
+    const newStatus = CREDENTIAL_LIFECYCLE[credential.lifecycleIndex + 1];
+    
+    // Move the credential to the back of the queue, so one that keeps failing does not starve the others
+    this.markPending(credentialId);
+    GLOBAL_CREDENTIAL_CACHE.delete(credentialId);
+    GLOBAL_CREDENTIAL_CACHE.set(credentialId, credential);
+    
+    if (this.debugMode) {
+      console.log(`✅ Successfully prepared credential status update:
+    - Credential ID: ${credentialId.substring(0, 10)}...
+    - Issuer: ${credential.issuer.substring(0, 10)}...
+    - Transition: ${previousStatus} -> ${newStatus}`);
+    }
     
     return {
-      identity,     // The holder address that will receive the credential
       credentialId,
-      credentialCid
+      previousStatus,
+      newStatus,
+      issuer: credential.issuer   // Only the original issuer may change the status
+    };
+  }
+  
+  /**
+   * Record a confirmed credential status transition and release the credential for further selection
+   * The transition is skipped if the credential already moved past previousStatus (e.g. through the
+   * journal of another worker)
+   * @param {Object} statusArgs - Arguments returned by getCredentialStatusUpdateArguments
+   */
+  confirmCredentialStatusUpdate(statusArgs) {
+    const record = GLOBAL_CREDENTIAL_CACHE.get(statusArgs.credentialId);
+    if (record && CREDENTIAL_LIFECYCLE[record.lifecycleIndex] === statusArgs.previousStatus &&
+      CREDENTIAL_LIFECYCLE[record.lifecycleIndex + 1] === statusArgs.newStatus) {
+      const updatedRecord = {
+        ...record,
+        status: statusArgs.newStatus,
+        lifecycleIndex: record.lifecycleIndex + 1,
+        statusUpdatedAt: Date.now()
+      };
+      GLOBAL_CREDENTIAL_CACHE.set(statusArgs.credentialId, updatedRecord);
+      this.entities.credentials.set(statusArgs.credentialId, { ...updatedRecord });
+    }
+    this.clearPending(statusArgs.credentialId);
+  }
+  
+  // === POPULATION SEEDING ===
+  
+  /**
+   * Work out what this worker still has to send to build its share of the population on chain
+   * Slots are split across workers by index. Slots without a network config or previously seeded
+   * account get a generated one; roles, DIDs and credentials that already exist (per snapshot,
+   * reconciliation or an earlier seeding round) are left out of the plan.
+   * @param {number} totalWorkers - Number of Caliper workers
+   * @returns {Promise<Object>} { identities, roles, dids, credentials }: the worker's slot addresses and
+   *   { address, role, slot } per transaction still to send
+   */
+  async getPopulationSeedPlan(totalWorkers = 1) {
+    if (!this.config.population) {
+      throw new Error('No population spec configured. Set the "population" round argument.');
+    }
+    
+    await this.waitForAccountsLoaded();
+    
+    const slotAccounts = new Map();
+    for (const source of [this.predefinedAccounts, GLOBAL_ACCOUNT_CACHE]) {
+      for (const [address, accountData] of source.entries()) {
+        if (accountData?.populationSlot && !slotAccounts.has(accountData.populationSlot)) {
+          slotAccounts.set(accountData.populationSlot, address);
+        }
+      }
+    }
+    
+    const credentialCounts = new Map();
+    for (const record of GLOBAL_CREDENTIAL_CACHE.values()) {
+      const holder = record.holder.toLowerCase();
+      credentialCounts.set(holder, (credentialCounts.get(holder) || 0) + 1);
+    }
+    
+    const plan = { identities: [], roles: [], dids: [], credentials: [] };
+    buildPopulationSlots(this.config.population).forEach((slot, index) => {
+      if (index % totalWorkers !== this.workerIndex) return;
+      
+      const role = POPULATION_GROUP_ROLES[slot.group];
+      const address = slotAccounts.get(slot.id) || this._createPopulationAccount(slot, role);
+      const accountData = this.predefinedAccounts.get(address) || GLOBAL_ACCOUNT_CACHE.get(address);
+      const step = { address, role, slot: slot.id };
+      plan.identities.push(address);
+      
+      if (accountData.needsRoleAssignment) plan.roles.push(step);
+      if (slot.withDid && !this._addressHasDid(address)) plan.dids.push(step);
+      if (slot.credentials > 0 && !this._isDidDeactivated(address)) {
+        const missing = slot.credentials - (credentialCounts.get(address.toLowerCase()) || 0);
+        for (let i = 0; i < missing; i++) plan.credentials.push(step);
+      }
+    });
+    
+    return plan;
+  }
+  
+  /**
+   * Generate the account of a population slot; its role and DID are sent by the seeding round
+   * @param {Object} slot - Slot from buildPopulationSlots
+   * @param {number} role - Role of the slot
+   * @returns {string} Generated address
+   * @private
+   */
+  _createPopulationAccount(slot, role) {
+    const { address, privateKey } = this._generateRandomAccount();
+    
+    const accountData = {
+      role,
+      name: `Population ${ROLE_NAMES.get(role)} ${slot.index + 1}`,
+      used: false,
+      source: 'generated',
+      populationSlot: slot.id,
+      needsRoleAssignment: true,
+      privateKey
+    };
+    this.predefinedAccounts.set(address, accountData);
+    this._updateGlobalAccountCache(address, accountData);
+    
+    return address;
+  }
+  
+  // === READ-ONLY QUERIES ===
+  
+  /**
+   * Pick a random entry from a seeded read target list, if one was configured
+   * @param {string} key - Key in config.readTargets (identities or credentialIds)
+   * @returns {string|null} Seeded target or null if none configured
+   * @private
+   */
+  _getSeededReadTarget(key) {
+    const seeded = this.config.readTargets?.[key];
+    if (!Array.isArray(seeded) || seeded.length === 0) return null;
+    return this.random.pick(seeded);
+  }
+  
+  /**
+   * Get arguments for DID resolution
+   * resolveDid reverts for missing or deactivated DIDs, so only active DIDs are queried
+   * @returns {Promise<Object>} DID resolution arguments
+   */
+  async getDIDResolutionArguments() {
+    await this.waitForAccountsLoaded();
+    
+    const seededIdentity = this._getSeededReadTarget('identities');
+    if (seededIdentity) {
+      return { identity: seededIdentity };
+    }
+    
+    const accountsWithDids = this._getAccountsWithDids();
+    if (accountsWithDids.length === 0) {
+      throw new Error('No accounts with active DIDs available for resolution. Run a DID creation round first or set readTargets.identities.');
+    }
+    
+    return {
+      identity: this.random.pick(accountsWithDids)
+    };
+  }
+  
+  /**
+   * Get arguments for credential resolution
+   * resolveCredential reverts for revoked credentials, so those are skipped
+   * @returns {Promise<Object>} Credential resolution arguments
+   */
+  async getCredentialResolutionArguments() {
+    await this.waitForAccountsLoaded();
+    
+    const seededCredentialId = this._getSeededReadTarget('credentialIds');
+    if (seededCredentialId) {
+      return { credentialId: seededCredentialId };
+    }
+    
+    const resolvableCredentials = [];
+    for (const [credentialId, record] of GLOBAL_CREDENTIAL_CACHE.entries()) {
+      if (record.status === CREDENTIAL_STATUS.REVOKED) continue;
+      if (this._isPending(credentialId)) continue;
+      resolvableCredentials.push(credentialId);
+    }
+    
+    if (resolvableCredentials.length === 0) {
+      throw new Error('No resolvable credentials available. Run a credential issuance round first or set readTargets.credentialIds.');
+    }
+    
+    return {
+      credentialId: this.random.pick(resolvableCredentials)
+    };
+  }
+  
+  /**
+   * Get arguments for a role query
+   * Queries accounts whose roles are known locally or through the Global Account Cache
+   * @returns {Promise<Object>} Role query arguments
+   */
+  async getRoleQueryArguments() {
+    await this.waitForAccountsLoaded();
+    
+    const seededIdentity = this._getSeededReadTarget('identities');
+    if (seededIdentity) {
+      return { account: seededIdentity };
+    }
+    
+    const knownAccounts = [];
+    for (const [address, data] of GLOBAL_ACCOUNT_CACHE.entries()) {
+      if (!data || data.source === 'caliper-fallback') continue;
+      if (data.needsRoleAssignment) continue; // role not on-chain yet
+      knownAccounts.push(address);
+    }
+    
+    if (knownAccounts.length === 0) {
+      throw new Error('No accounts with known roles available for role queries. Run a role assignment round first or set readTargets.identities.');
+    }
+    
+    return {
+      account: this.random.pick(knownAccounts)
     };
   }
   
   /**
    * Get entity state statistics
+   * Besides entity counts, reports where accounts came from and how often argument selection fell back
+   * to its FALLBACK and LAST RESORT paths, which skew benchmark results without failing transactions
    * @returns {Object} State statistics
    */
   getStateStatistics() {
+    // Accounts by origin: network config (predefined), generated by this worker, learned from other workers
+    const accounts = { total: 0, keyed: 0, awaitingRole: 0, bySource: {} };
+    const seen = new Set();
+    for (const source of [this.predefinedAccounts, GLOBAL_ACCOUNT_CACHE]) {
+      for (const [address, accountData] of source.entries()) {
+        if (!accountData || seen.has(address.toLowerCase())) continue;
+        seen.add(address.toLowerCase());
+        
+        const origin = accountData.source || 'unknown';
+        accounts.total++;
+        accounts.bySource[origin] = (accounts.bySource[origin] || 0) + 1;
+        if (accountData.privateKey) accounts.keyed++;
+        if (accountData.needsRoleAssignment) accounts.awaitingRole++;
+      }
+    }
+    
+    const credentialStatuses = {};
+    for (const record of GLOBAL_CREDENTIAL_CACHE.values()) {
+      const statusName = Object.keys(CREDENTIAL_STATUS).find(name => CREDENTIAL_STATUS[name] === record.status) || String(record.status);
+      credentialStatuses[statusName] = (credentialStatuses[statusName] || 0) + 1;
+    }
+    
     return {
       worker: this.workerIndex,
       entityCounts: {
         roles: this.entities.roles.size,
         dids: this.entities.dids.size,
-        credentials: this.entities.credentials.size
+        credentials: this.entities.credentials.size,
+        deactivatedDids: this.deactivatedIdentities ? this.deactivatedIdentities.size : 0
       },
-      counters: { ...this.counters }
+      counters: { ...this.counters },
+      accounts,
+      credentialStatuses,
+      selection: { ...this.selectionStats }
     };
   }
+
 }
 
 // Export constants
 SimplifiedSSIStateManager.ENTITY_TYPES = SSI_ENTITY_TYPES;
 SimplifiedSSIStateManager.ROLES = SSI_ROLES;
+SimplifiedSSIStateManager.CREDENTIAL_STATUS = CREDENTIAL_STATUS;
 SimplifiedSSIStateManager.DEPLOYER_ADDRESS = DEPLOYER_ADDRESS;
 
 module.exports = SimplifiedSSIStateManager;
\ No newline at end of file
@@ -0,0 +1,144 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigUtil, CaliperUtils } = require('@hyperledger/caliper-core');
+
+// Default name of the combined file; per-worker parts are kept in a subdirectory of the same name
+const DEFAULT_STATISTICS_NAME = 'ssi-state-statistics';
+
+// Local workers are forked by the Caliper manager, so its process ID identifies the run they share
+const RUN_DIRECTORY = `run-${process.ppid}`;
+
+// Parts written before this worker started belong to an earlier run (Caliper starts the first
+// round only once every worker is up)
+const PROCESS_START_MS = Date.now() - process.uptime() * 1000;
+
+/**
+ * Resolve the directory the round statistics are written to
+ * Defaults to the directory of Caliper's report (caliper-report-path)
+ * @param {Object} statisticsConfig - stateStatistics round argument ({ enabled, directory })
+ * @returns {string} Absolute directory
+ */
+function getStatisticsDirectory(statisticsConfig = {}) {
+  if (statisticsConfig.directory) {
+    return path.resolve(statisticsConfig.directory);
+  }
+
+  const reportPath = CaliperUtils.resolvePath(ConfigUtil.get(ConfigUtil.keys.Report.Path, 'report.html'));
+  return path.dirname(reportPath);
+}
+
+/**
+ * Add up the numeric fields of per-worker statistics
+ * @param {Array<Object>} parts - Worker statistics
+ * @returns {Object} Nested sums; non-numeric fields are left out
+ * @private
+ */
+function sumStatistics(parts) {
+  const totals = {};
+  for (const part of parts) {
+    for (const [key, value] of Object.entries(part)) {
+      if (typeof value === 'number') {
+        totals[key] = (totals[key] || 0) + value;
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        totals[key] = sumStatistics([totals[key] || {}, value]);
+      }
+    }
+  }
+  return totals;
+}
+
+/**
+ * Write a JSON file atomically so readers never see a partial file
+ * @param {string} filePath - Target file
+ * @param {Object} data - JSON data
+ * @private
+ */
+function writeJsonAtomic(filePath, data) {
+  const temporaryPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(temporaryPath, JSON.stringify(data, null, 2));
+  fs.renameSync(temporaryPath, filePath);
+}
+
+/**
+ * Delete the parts of earlier runs
+ * Part directories of other runs still being written to are left alone
+ * @param {string} statisticsDirectory - Directory holding the run directories
+ * @param {string} partDirectory - Part directory of this run
+ * @private
+ */
+function removeStaleParts(statisticsDirectory, partDirectory) {
+  const isStale = filePath => {
+    try {
+      return fs.statSync(filePath).mtimeMs < PROCESS_START_MS;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  };
+
+  for (const fileName of fs.readdirSync(statisticsDirectory)) {
+    const filePath = path.join(statisticsDirectory, fileName);
+    if (filePath !== partDirectory && isStale(filePath)) {
+      fs.rmSync(filePath, { recursive: true, force: true });
+    }
+  }
+
+  // The manager's process ID may have been used by an earlier run
+  for (const fileName of fs.readdirSync(partDirectory)) {
+    const filePath = path.join(partDirectory, fileName);
+    if (isStale(filePath)) fs.rmSync(filePath, { force: true });
+  }
+}
+
+/**
+ * Store one worker's statistics and rebuild the combined file of the round
+ * Every worker rebuilds the combined file from all parts of this run present after writing its own,
+ * and repeats until no part appeared in the meantime, so the worker finishing last leaves the
+ * complete file. Parts are kept per run in <directory>/<name>/run-<manager pid>.
+ * @param {string} directory - Result of getStatisticsDirectory
+ * @param {number} roundIndex - Round index
+ * @param {number} totalWorkers - Number of Caliper workers
+ * @param {Object} statistics - Statistics of this worker (must contain worker)
+ * @param {string} name - Base name of the combined file and the part directory
+ * @returns {string} Combined file path
+ */
+function writeRoundStatistics(directory, roundIndex, totalWorkers, statistics, name = DEFAULT_STATISTICS_NAME) {
+  const statisticsDirectory = path.join(directory, name);
+  const partDirectory = path.join(statisticsDirectory, RUN_DIRECTORY);
+  fs.mkdirSync(partDirectory, { recursive: true });
+  removeStaleParts(statisticsDirectory, partDirectory);
+  writeJsonAtomic(path.join(partDirectory, `r${roundIndex}-w${statistics.worker}.json`), statistics);
+
+  const combinedPath = path.join(directory, `${name}-r${roundIndex}.json`);
+  const partPattern = new RegExp(`^r${roundIndex}-w(\\d+)\\.json$`);
+  const listParts = () => fs.readdirSync(partDirectory)
+    .filter(fileName => partPattern.test(fileName) && Number(fileName.match(partPattern)[1]) < totalWorkers)
+    .sort();
+
+  let partFiles = listParts();
+  for (;;) {
+    const workers = partFiles
+      .map(fileName => JSON.parse(fs.readFileSync(path.join(partDirectory, fileName), 'utf8')))
+      .sort((a, b) => a.worker - b.worker);
+
+    writeJsonAtomic(combinedPath, {
+      round: roundIndex,
+      generatedAt: new Date().toISOString(),
+      workers: workers.length,
+      expectedWorkers: totalWorkers,
+      totals: sumStatistics(workers.map(({ worker, ...rest }) => rest)),
+      perWorker: workers
+    });
+
+    const currentFiles = listParts();
+    if (currentFiles.join() === partFiles.join()) return combinedPath;
+    partFiles = currentFiles;
+  }
+}
+
+module.exports = {
+  getStatisticsDirectory,
+  writeRoundStatistics
+};
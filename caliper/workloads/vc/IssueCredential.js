@@ -28,11 +28,11 @@ class SimplifiedIssueCredential extends SimplifiedSSIOperationBase {
    * @returns {Promise} Transaction result
    */
   async submitTransaction() {
+    let credentialArgs = null;
+
     try {
-      // console.log(`Worker ${this.workerIndex}: Starting Issue Credential...`);
-      
-      // Get Issue Credential arguments from state manager - now async
-      const credentialArgs = await this.ssiState.getCredentialIssuanceArguments();
+      // Get Issue Credential arguments from state manager (the credential ID stays pending until settled)
+      credentialArgs = await this.ssiState.getCredentialIssuanceArguments();
 
       if (!credentialArgs) {
         throw new Error('Failed to generate credential arguments');
@@ -40,13 +40,13 @@ class SimplifiedIssueCredential extends SimplifiedSSIOperationBase {
 
       console.log(`Credential args:`, {
         identity: credentialArgs.identity.substring(0, 10) + '...',
+        issuer: credentialArgs.issuer.substring(0, 10) + '...',
         credentialId: `${credentialArgs.credentialId.substring(0, 10)}...`,
         cidLength: credentialArgs.credentialCid.length
       });
 
-      // Execute credential issuance operation using WebSocket provider
       // For issueCredential(address identity, bytes32 credentialId, string calldata credentialCid)
-      // The issuer is now handled by msg.sender in the contract
+      // The contract records msg.sender as the issuer, so the transaction is sent from the chosen issuer
       const issueCredentialArgs = {
         identity: credentialArgs.identity,
         credentialId: credentialArgs.credentialId,
@@ -56,16 +56,22 @@ class SimplifiedIssueCredential extends SimplifiedSSIOperationBase {
       const result = await this.executeSSIOperation(
         SimplifiedSSIOperationBase.CONTRACTS.CREDENTIAL_REGISTRY,
         SimplifiedSSIOperationBase.OPERATIONS.ISSUE_CREDENTIAL,
-        issueCredentialArgs
-        // The caller address (issuer) is now handled by the contract via msg.sender
+        issueCredentialArgs,
+        { fromAddress: credentialArgs.issuer } // Later status updates must come from this issuer
       );
 
-      console.log(`✅ Credential issuance successful for Worker ${this.workerIndex}`);
-      
+      // The credential is only recorded once it is on chain
+      if (this.isConfirmed(result)) {
+        this.ssiState.confirmCredentialIssuance(credentialArgs);
+        console.log(`✅ Credential issuance successful for Worker ${this.workerIndex}`);
+      }
+
       return result;
     } catch (error) {
       console.error(`❌ Credential issuance failed for Worker ${this.workerIndex}: ${error.message}`);
       throw error;
+    } finally {
+      if (credentialArgs) this.ssiState.clearPending(credentialArgs.credentialId);
     }
   }
 }
@@ -0,0 +1,121 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+
+/**
+ * Signed Credential Issuance Workload for Caliper Benchmarking
+ * The issuer signs the issueCredential payload off-chain and the worker account relays issueCredentialSigned
+ */
+class SignedIssueCredential extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'issueCredentialSigned';
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'credential', this.ssiConfig);
+  }
+
+  /**
+   * Initialize the workload module, failing early when no issuer can sign
+   */
+  async initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext) {
+    await super.initializeWorkloadModule(workerIndex, totalWorkers, roundIndex, roundArguments, sutAdapter, sutContext);
+
+    if (!(await this.ssiState.hasSigningCredentialIssuer())) {
+      throw new Error('SSI workload error: issueCredentialSigned needs an ISSUER or TRUSTEE account with a known private key and an active DID; add one to the network config or seed the population first');
+    }
+  }
+
+  /**
+   * Execute a single transaction
+   * @returns {Promise} Transaction result
+   */
+  async submitTransaction() {
+    let credentialArgs = null;
+
+    try {
+      // The credential ID stays pending until settled
+      credentialArgs = await this.ssiState.getCredentialIssuanceArguments({ signedByIssuer: true });
+
+      if (!credentialArgs) {
+        throw new Error('Failed to generate credential arguments');
+      }
+
+      // The issuer is recovered from the signature, so it signs with its own key
+      const issuerKey = this.ssiState.getPrivateKey(credentialArgs.issuer);
+
+      // Issuer signs keccak256(0x19, 0x00, CredentialRegistry, holder, "issueCredential", credentialId, credentialCid)
+      const signature = this.signSSIPayload(
+        SimplifiedSSIOperationBase.CONTRACTS.CREDENTIAL_REGISTRY,
+        credentialArgs.identity,
+        SimplifiedSSIOperationBase.OPERATIONS.ISSUE_CREDENTIAL,
+        [
+          { type: 'bytes32', value: credentialArgs.credentialId },
+          { type: 'string', value: credentialArgs.credentialCid }
+        ],
+        issuerKey
+      );
+
+      // For issueCredentialSigned(address identity, uint8 sigV, bytes32 sigR, bytes32 sigS, bytes32 credentialId, string credentialCid)
+      const issueCredentialSignedArgs = {
+        identity: credentialArgs.identity,
+        sigV: signature.sigV,
+        sigR: signature.sigR,
+        sigS: signature.sigS,
+        credentialId: credentialArgs.credentialId,
+        credentialCid: credentialArgs.credentialCid
+      };
+
+      // Relayed from the worker account (must hold a TRUSTEE or ISSUER role)
+      const result = await this.executeSSIOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.CREDENTIAL_REGISTRY,
+        SimplifiedSSIOperationBase.OPERATIONS.ISSUE_CREDENTIAL_SIGNED,
+        issueCredentialSignedArgs
+      );
+
+      if (result && typeof result.Set === 'function') {
+        result.Set('signingTimeMs', signature.signingTimeMs);
+      }
+
+      // The credential is only recorded once it is on chain
+      if (this.isConfirmed(result)) {
+        this.ssiState.confirmCredentialIssuance(credentialArgs);
+        console.log(`✅ Signed credential issuance successful for Worker ${this.workerIndex}`);
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`❌ Signed credential issuance failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    } finally {
+      if (credentialArgs) this.ssiState.clearPending(credentialArgs.credentialId);
+    }
+  }
+
+  /**
+   * Report off-chain signing cost separately from on-chain latency
+   */
+  async cleanupWorkloadModule() {
+    await super.cleanupWorkloadModule();
+    this.logSigningStatistics();
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SignedIssueCredential} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SignedIssueCredential();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
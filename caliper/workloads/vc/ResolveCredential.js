@@ -0,0 +1,61 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+
+/**
+ * Simplified Credential Resolution Workload for Caliper Benchmarking
+ * Read-only call (eth_call) reported as its own round, separate from write throughput
+ */
+class SimplifiedResolveCredential extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'resolveCredential';
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'credential', this.ssiConfig);
+  }
+
+  /**
+   * Execute a single query
+   * @returns {Promise} Query result
+   */
+  async submitTransaction() {
+    try {
+      // Get a target already known to be on-chain from state manager
+      const queryArgs = await this.ssiState.getCredentialResolutionArguments();
+
+      if (!queryArgs) {
+        throw new Error('Failed to generate credential resolution arguments');
+      }
+
+      // For resolveCredential(bytes32 credentialId)
+      return await this.executeSSIOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.CREDENTIAL_REGISTRY,
+        SimplifiedSSIOperationBase.OPERATIONS.RESOLVE_CREDENTIAL,
+        queryArgs
+      );
+    } catch (error) {
+      console.error(`❌ Credential resolution failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SimplifiedResolveCredential} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SimplifiedResolveCredential();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
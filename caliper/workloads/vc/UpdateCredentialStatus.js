@@ -0,0 +1,86 @@
+'use strict';
+
+const SimplifiedSSIOperationBase = require('../utils/ssi-operation');
+const SimplifiedSSIStateManager = require('../utils/ssi-state');
+
+/**
+ * Simplified Credential Status Update Workload for Caliper Benchmarking
+ * Walks issued credentials through suspension, reactivation and revocation
+ */
+class SimplifiedUpdateCredentialStatus extends SimplifiedSSIOperationBase {
+  /**
+   * Initialize the workload module
+   */
+  constructor() {
+    super();
+    this.operationType = 'updateCredentialStatus';
+  }
+
+  /**
+   * Create an SSI state manager instance
+   * @returns {SimplifiedSSIStateManager} State manager instance
+   */
+  createSSIState() {
+    return new SimplifiedSSIStateManager(this.workerIndex, 'credential', this.ssiConfig);
+  }
+
+  /**
+   * Execute a single transaction
+   * @returns {Promise} Transaction result
+   */
+  async submitTransaction() {
+    let statusArgs = null;
+
+    try {
+      // Get the next lifecycle transition from state manager (the credential stays pending until settled)
+      statusArgs = await this.ssiState.getCredentialStatusUpdateArguments();
+
+      if (!statusArgs) {
+        throw new Error('Failed to generate credential status update arguments');
+      }
+
+      console.log(`Credential status args:`, {
+        credentialId: `${statusArgs.credentialId.substring(0, 10)}...`,
+        previousStatus: statusArgs.previousStatus,
+        newStatus: statusArgs.newStatus
+      });
+
+      // For updateCredentialStatus(bytes32 credentialId, CredentialStatus previousStatus, CredentialStatus newStatus)
+      const updateStatusArgs = {
+        credentialId: statusArgs.credentialId,
+        previousStatus: statusArgs.previousStatus,
+        newStatus: statusArgs.newStatus
+      };
+
+      const result = await this.executeSSIOperation(
+        SimplifiedSSIOperationBase.CONTRACTS.CREDENTIAL_REGISTRY,
+        SimplifiedSSIOperationBase.OPERATIONS.UPDATE_CREDENTIAL_STATUS,
+        updateStatusArgs,
+        { fromAddress: statusArgs.issuer } // Only the original issuer may change the status
+      );
+
+      // The new status is only recorded once the transition is on chain
+      if (this.isConfirmed(result)) {
+        this.ssiState.confirmCredentialStatusUpdate(statusArgs);
+        console.log(`✅ Credential status update successful for Worker ${this.workerIndex}`);
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`❌ Credential status update failed for Worker ${this.workerIndex}: ${error.message}`);
+      throw error;
+    } finally {
+      if (statusArgs) this.ssiState.clearPending(statusArgs.credentialId);
+    }
+  }
+}
+
+/**
+ * Create a new workload module instance
+ * @returns {SimplifiedUpdateCredentialStatus} Workload module instance
+ */
+function createWorkloadModule() {
+  return new SimplifiedUpdateCredentialStatus();
+}
+
+module.exports.createWorkloadModule = createWorkloadModule;
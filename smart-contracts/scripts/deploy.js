@@ -14,6 +14,53 @@ async function estimateWithHeadroom(contractFactory, constructorArgs = [], headr
   }
 }
 
+// Helper function to resolve transaction fee options from the environment
+// FEE_MODE=legacy (default) sends GAS_PRICE_GWEI (default 1); FEE_MODE=eip1559 sends type-2 transactions with
+// MAX_FEE_PER_GAS_GWEI / MAX_PRIORITY_FEE_PER_GAS_GWEI, deriving any unset value from eth_feeHistory
+async function resolveFeeOptions() {
+  const feeMode = (process.env.FEE_MODE || "legacy").toLowerCase();
+
+  if (feeMode === "legacy") {
+    return { gasPrice: ethers.parseUnits(process.env.GAS_PRICE_GWEI || "1", "gwei") };
+  }
+  if (feeMode !== "eip1559") {
+    throw new Error(`Unsupported FEE_MODE "${feeMode}" (expected legacy or eip1559)`);
+  }
+
+  let maxFeePerGas = process.env.MAX_FEE_PER_GAS_GWEI ? ethers.parseUnits(process.env.MAX_FEE_PER_GAS_GWEI, "gwei") : null;
+  let maxPriorityFeePerGas = process.env.MAX_PRIORITY_FEE_PER_GAS_GWEI
+    ? ethers.parseUnits(process.env.MAX_PRIORITY_FEE_PER_GAS_GWEI, "gwei")
+    : null;
+
+  if (maxFeePerGas === null || maxPriorityFeePerGas === null) {
+    // Median 50th-percentile reward of the last 10 blocks; the last base fee is the next block's
+    const history = await ethers.provider.send("eth_feeHistory", [ethers.toQuantity(10), "latest", [50]]);
+    if (!history || !history.baseFeePerGas || history.baseFeePerGas.length === 0) {
+      throw new Error("eth_feeHistory returned no base fees; use FEE_MODE=legacy on pre-London chains");
+    }
+
+    const nextBaseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+    const rewards = (history.reward || [])
+      .map(blockRewards => BigInt(blockRewards[0] || 0))
+      .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const medianReward = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : 0n;
+
+    maxPriorityFeePerGas = maxPriorityFeePerGas ?? medianReward;
+    maxFeePerGas = maxFeePerGas ?? nextBaseFee * 2n + maxPriorityFeePerGas;
+  }
+
+  return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+}
+
+// Helper function to describe fee options for logs
+function describeFeeOptions(feeOptions) {
+  if (feeOptions.type === 2) {
+    return `EIP-1559 (maxFeePerGas ${ethers.formatUnits(feeOptions.maxFeePerGas, "gwei")} gwei, ` +
+      `maxPriorityFeePerGas ${ethers.formatUnits(feeOptions.maxPriorityFeePerGas, "gwei")} gwei)`;
+  }
+  return `legacy (gasPrice ${ethers.formatUnits(feeOptions.gasPrice, "gwei")} gwei)`;
+}
+
 async function main() {
   console.log("Starting SSI/DID Trust Triangle deployment...");
 
@@ -25,10 +72,9 @@ async function main() {
   const balance = await ethers.provider.getBalance(deployer.address);
   console.log("Deployer balance:", ethers.formatEther(balance), "ETH");
 
-  // Define base deployment parameters
-  const baseDeploymentOptions = {
-    gasPrice: ethers.parseUnits("1", "gwei")  // Higher gas price for faster mining
-  };
+  // Define base deployment parameters (fee mode from FEE_MODE, see resolveFeeOptions)
+  const baseDeploymentOptions = await resolveFeeOptions();
+  console.log("Fee mode:", describeFeeOptions(baseDeploymentOptions));
 
   // Set a reasonable timeout for deployments
   const DEPLOYMENT_TIMEOUT = 60000; // 60 seconds
@@ -72,7 +118,7 @@ async function main() {
       // Calculate gas usage for RoleControl
       const roleControlReceipt = await ethers.provider.getTransactionReceipt(roleControl.deploymentTransaction().hash);
       const roleControlGasUsed = roleControlReceipt.gasUsed;
-      const roleControlGasCost = roleControlGasUsed * baseDeploymentOptions.gasPrice;
+      const roleControlGasCost = roleControlGasUsed * roleControlReceipt.gasPrice; // effective gas price
       
       totalGasUsed += roleControlGasUsed;
       totalGasCost += roleControlGasCost;
@@ -81,7 +127,7 @@ async function main() {
         contract: "RoleControl",
         gasUsed: roleControlGasUsed.toString(),
         gasEstimated: roleControlEstimatedGas.toString(),
-        gasPrice: ethers.formatUnits(baseDeploymentOptions.gasPrice, "gwei") + " gwei",
+        gasPrice: ethers.formatUnits(roleControlReceipt.gasPrice, "gwei") + " gwei",
         gasCost: ethers.formatEther(roleControlGasCost) + " ETH",
         address: roleControlAddress
       });
@@ -132,7 +178,7 @@ async function main() {
       // Calculate gas usage for DidRegistry
       const didRegistryReceipt = await ethers.provider.getTransactionReceipt(didRegistry.deploymentTransaction().hash);
       const didRegistryGasUsed = didRegistryReceipt.gasUsed;
-      const didRegistryGasCost = didRegistryGasUsed * baseDeploymentOptions.gasPrice;
+      const didRegistryGasCost = didRegistryGasUsed * didRegistryReceipt.gasPrice; // effective gas price
       
       totalGasUsed += didRegistryGasUsed;
       totalGasCost += didRegistryGasCost;
@@ -141,7 +187,7 @@ async function main() {
         contract: "DidRegistry",
         gasUsed: didRegistryGasUsed.toString(),
         gasEstimated: didRegistryEstimatedGas.toString(),
-        gasPrice: ethers.formatUnits(baseDeploymentOptions.gasPrice, "gwei") + " gwei",
+        gasPrice: ethers.formatUnits(didRegistryReceipt.gasPrice, "gwei") + " gwei",
         gasCost: ethers.formatEther(didRegistryGasCost) + " ETH",
         address: didRegistryAddress
       });
@@ -197,7 +243,7 @@ async function main() {
       // Calculate gas usage for CredentialRegistry
       const credentialRegistryReceipt = await ethers.provider.getTransactionReceipt(credentialRegistry.deploymentTransaction().hash);
       const credentialRegistryGasUsed = credentialRegistryReceipt.gasUsed;
-      const credentialRegistryGasCost = credentialRegistryGasUsed * baseDeploymentOptions.gasPrice;
+      const credentialRegistryGasCost = credentialRegistryGasUsed * credentialRegistryReceipt.gasPrice; // effective gas price
       
       totalGasUsed += credentialRegistryGasUsed;
       totalGasCost += credentialRegistryGasCost;
@@ -206,7 +252,7 @@ async function main() {
         contract: "CredentialRegistry",
         gasUsed: credentialRegistryGasUsed.toString(),
         gasEstimated: credentialRegistryEstimatedGas.toString(),
-        gasPrice: ethers.formatUnits(baseDeploymentOptions.gasPrice, "gwei") + " gwei",
+        gasPrice: ethers.formatUnits(credentialRegistryReceipt.gasPrice, "gwei") + " gwei",
         gasCost: ethers.formatEther(credentialRegistryGasCost) + " ETH",
         address: credentialRegistryAddress
       });
@@ -245,7 +291,9 @@ async function main() {
     console.log("TOTAL DEPLOYMENT COSTS:");
     console.log(`  Total Gas Used:  ${totalGasUsed.toLocaleString()}`);
     console.log(`  Total Gas Cost:  ${ethers.formatEther(totalGasCost)} ETH`);
-    console.log(`  Gas Price Used:  ${ethers.formatUnits(baseDeploymentOptions.gasPrice, "gwei")} gwei`);
+    const averageGasPrice = totalGasUsed > 0n ? totalGasCost / totalGasUsed : 0n;
+    console.log(`  Avg Gas Price:   ${ethers.formatUnits(averageGasPrice, "gwei")} gwei`);
+    console.log(`  Fee Mode:        ${describeFeeOptions(baseDeploymentOptions)}`);
     
     // Calculate USD cost (example with ETH price - could be made dynamic)
     const ethPriceUSD = 3500; // This could be fetched from an API
@@ -264,7 +312,12 @@ async function main() {
       gasUsage: {
         totalGasUsed: totalGasUsed.toString(),
         totalGasCost: ethers.formatEther(totalGasCost),
-        gasPrice: ethers.formatUnits(baseDeploymentOptions.gasPrice, "gwei"),
+        gasPrice: ethers.formatUnits(averageGasPrice, "gwei"),
+        feeMode: baseDeploymentOptions.type === 2 ? "eip1559" : "legacy",
+        maxFeePerGas: baseDeploymentOptions.maxFeePerGas ? ethers.formatUnits(baseDeploymentOptions.maxFeePerGas, "gwei") : null,
+        maxPriorityFeePerGas: baseDeploymentOptions.maxPriorityFeePerGas
+          ? ethers.formatUnits(baseDeploymentOptions.maxPriorityFeePerGas, "gwei")
+          : null,
         estimatedCostUSD: totalCostUSD.toFixed(4),
         contractBreakdown: gasReport
       },